@@ -0,0 +1,25 @@
+/**
+ * MongoMonitorBot - IPC Constants
+ * Messages between the shard manager and the shards
+ */
+
+/**
+ * Key marking monitor messages, so they are told apart from discord.js' own messages
+ * Its value is one of IPC_TYPES.
+ */
+const IPC_KEY = '_mongoMonitor';
+
+/**
+ * Message types
+ * SHARDS: manager to shards, { shards: [IDs of running shards] }
+ * RESULT: shard to manager, relayed to the other shards, { result, reconnect }
+ */
+const IPC_TYPES = {
+    SHARDS: 'shards',
+    RESULT: 'result'
+};
+
+module.exports = {
+    IPC_KEY,
+    IPC_TYPES
+};
@@ -8,6 +8,7 @@ require('dotenv').config();
 const { ShardingManager } = require('discord.js');
 const path = require('path');
 const logger = require('./utils/logger');
+const { IPC_KEY, IPC_TYPES } = require('./constants/ipc');
 
 const manager = new ShardingManager(path.join(__dirname, 'bot.js'), {
     token: process.env.DISCORD_TOKEN,
@@ -16,12 +17,54 @@ const manager = new ShardingManager(path.join(__dirname, 'bot.js'), {
     mode: 'process'
 });
 
+/**
+ * Shards that are ready and haven't died, so the others can take over their checks
+ */
+const liveShards = new Set();
+
+/**
+ * Whether the initial spawn finished; until then shards assume all shards are running
+ */
+let isSpawned = false;
+
+/**
+ * Send a monitor message to running shards
+ * @param {Object} message - Message
+ * @param {number} [exceptId] - Shard to leave out
+ */
+function sendToShards(message, exceptId) {
+    for (const id of liveShards) {
+        if (id === exceptId) continue;
+
+        manager.shards.get(id)?.send(message).catch((error) => {
+            logger.debug(`[ShardManager] Could not message shard ${id}: ${error.message}`);
+        });
+    }
+}
+
+/**
+ * Tell every shard which shards are running
+ */
+function broadcastLiveShards() {
+    if (!isSpawned) return;
+    sendToShards({ [IPC_KEY]: IPC_TYPES.SHARDS, shards: [...liveShards].sort((a, b) => a - b) });
+}
+
 // Shard event handlers
 manager.on('shardCreate', (shard) => {
     logger.info(`[ShardManager] Launched shard ${shard.id}`);
 
     shard.on('ready', () => {
         logger.info(`[Shard ${shard.id}] Ready`);
+        liveShards.add(shard.id);
+        broadcastLiveShards();
+    });
+
+    // Relay check results to the shards that don't check the instance themselves
+    shard.on('message', (message) => {
+        if (message?.[IPC_KEY] === IPC_TYPES.RESULT) {
+            sendToShards(message, shard.id);
+        }
     });
 
     shard.on('disconnect', () => {
@@ -34,6 +77,8 @@ manager.on('shardCreate', (shard) => {
 
     shard.on('death', (process) => {
         logger.error(`[Shard ${shard.id}] Died with exit code ${process.exitCode}`);
+        liveShards.delete(shard.id);
+        broadcastLiveShards();
     });
 
     shard.on('error', (error) => {
@@ -61,6 +106,8 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 manager.spawn({ timeout: 60000 })
     .then((shards) => {
         logger.info(`[ShardManager] Successfully spawned ${shards.size} shard(s)`);
+        isSpawned = true;
+        broadcastLiveShards();
     })
     .catch((error) => {
         logger.error(`[ShardManager] Failed to spawn shards: ${error.message}`);
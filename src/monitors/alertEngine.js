@@ -0,0 +1,188 @@
+/**
+ * MongoMonitorBot - Alert Engine
+ * Evaluates threshold rules against health check results
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getCurrentTimestamp } = require('../utils/time');
+
+/**
+ * Supported comparison operators
+ */
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold
+};
+
+/**
+ * Supported severities, ordered from least to most severe
+ */
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Alert state per rule and instance
+ * Key: `${ruleName}::${instanceName}`
+ */
+const alertStates = new Map();
+
+/**
+ * Invalid rules already logged, so each is only reported once
+ */
+const reported = new Set();
+
+/**
+ * Resolve a dotted field path against a result object
+ * @param {Object} result - Health check result
+ * @param {string} fieldPath - Dotted path (e.g. "connections.current")
+ * @returns {*} Field value or undefined
+ */
+function resolveField(result, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), result);
+}
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - Rule definition
+ * @returns {string|null} Validation error or null if valid
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'rule must be an object';
+    if (!rule.name) return 'missing name';
+    if (!rule.metric) return 'missing metric';
+    if (!OPERATORS[rule.operator]) return `unsupported operator "${rule.operator}"`;
+    if (rule.threshold === undefined) return 'missing threshold';
+    if (rule.for !== undefined && (!Number.isInteger(rule.for) || rule.for < 1)) return '"for" must be a positive number of cycles';
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) return `unsupported severity "${rule.severity}"`;
+    return null;
+}
+
+/**
+ * Get the configured rules, skipping invalid ones
+ * Duplicate names are skipped too, as alert state is keyed by rule name.
+ * @returns {Array<Object>} Valid rules with defaults applied
+ */
+function getRules() {
+    const rules = [];
+
+    for (const rule of config.alerts?.rules ?? []) {
+        let error = validateRule(rule);
+        if (!error && rules.some(r => r.name === rule.name)) error = 'duplicate name';
+
+        if (error) {
+            const message = `Skipping invalid rule "${rule?.name ?? 'unnamed'}": ${error}`;
+            if (!reported.has(message)) {
+                reported.add(message);
+                logger.warn(`[Alerts] ${message}`);
+            }
+            continue;
+        }
+
+        rules.push({
+            for: 1,
+            severity: 'warning',
+            instances: null,
+            ...rule
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Check whether a rule applies to an instance
+ * @param {Object} rule - Rule definition
+ * @param {string} instanceName - Instance name
+ * @returns {boolean} Whether the rule applies
+ */
+function ruleAppliesTo(rule, instanceName) {
+    return !Array.isArray(rule.instances) || rule.instances.includes(instanceName);
+}
+
+/**
+ * Evaluate all rules against the latest results
+ * @param {Array<Object>} results - Results from checkAllInstances
+ * @returns {Array<Object>} Alert events ({ type: 'triggered'|'resolved', ... })
+ */
+function evaluate(results) {
+    if (!config.alerts?.enabled) return [];
+
+    const events = [];
+    const rules = getRules();
+
+    for (const result of results) {
+        for (const rule of rules) {
+            if (!ruleAppliesTo(rule, result.name)) continue;
+
+            const value = resolveField(result, rule.metric);
+
+            // Fields missing from this cycle (e.g. instance offline) leave the state untouched
+            if (value === undefined || value === null) continue;
+
+            const key = `${rule.name}::${result.name}`;
+            const state = alertStates.get(key) ?? { consecutive: 0, active: false, triggeredAt: null };
+            const matches = OPERATORS[rule.operator](value, rule.threshold);
+
+            if (matches) {
+                state.consecutive++;
+
+                if (!state.active && state.consecutive >= rule.for) {
+                    state.active = true;
+                    state.triggeredAt = getCurrentTimestamp();
+                    events.push({ type: 'triggered', rule, instance: result.name, value, triggeredAt: state.triggeredAt });
+                    logger.warn(`[Alerts] ${rule.severity.toUpperCase()} "${rule.name}" triggered for ${result.name} (${rule.metric}=${value})`);
+                }
+            } else {
+                if (state.active) {
+                    events.push({
+                        type: 'resolved',
+                        rule,
+                        instance: result.name,
+                        value,
+                        triggeredAt: state.triggeredAt,
+                        resolvedAt: getCurrentTimestamp()
+                    });
+                    logger.info(`[Alerts] "${rule.name}" resolved for ${result.name} (${rule.metric}=${value})`);
+                }
+
+                state.consecutive = 0;
+                state.active = false;
+                state.triggeredAt = null;
+            }
+
+            alertStates.set(key, state);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Get currently active alerts
+ * @returns {Array<Object>} Active alerts ({ rule, instance, triggeredAt })
+ */
+function getActiveAlerts() {
+    const active = [];
+
+    for (const [key, state] of alertStates) {
+        if (!state.active) continue;
+
+        const [rule, instance] = key.split('::');
+        active.push({ rule, instance, triggeredAt: state.triggeredAt });
+    }
+
+    return active;
+}
+
+module.exports = {
+    OPERATORS,
+    SEVERITIES,
+    resolveField,
+    validateRule,
+    evaluate,
+    getActiveAlerts
+};
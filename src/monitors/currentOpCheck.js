@@ -0,0 +1,121 @@
+/**
+ * MongoMonitorBot - Current Operation Checks
+ * Functions for finding and killing long-running operations
+ */
+
+/**
+ * Maximum length of the command summary kept per operation
+ */
+const COMMAND_SUMMARY_LENGTH = 200;
+
+/**
+ * Summarize an operation's command document for display
+ * @param {Object} command - Command document from $currentOp
+ * @returns {string|null} Truncated JSON summary
+ */
+function summarizeCommand(command) {
+    if (!command) return null;
+
+    // Drop driver/session noise so the interesting part fits
+    const { lsid, $clusterTime, $db, $readPreference, txnNumber, ...rest } = command;
+    const json = JSON.stringify(rest);
+
+    return json.length > COMMAND_SUMMARY_LENGTH
+        ? `${json.slice(0, COMMAND_SUMMARY_LENGTH - 1)}…`
+        : json;
+}
+
+/**
+ * Get active client operations running for at least `minSeconds`
+ * Internal threads, replication traffic between members and cursors that wait
+ * on purpose (oplog tailing, change streams) are left out.
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @param {number} minSeconds - Minimum running time in seconds
+ * @param {number} [limit=25] - Maximum number of operations to return
+ * @returns {Promise<Object>} Operations result, oldest first
+ */
+async function getLongRunningOps(db, minSeconds, limit = 25) {
+    try {
+        // $currentOp only runs in an aggregation on the admin database itself
+        const ops = await db.aggregate([
+            { $currentOp: { allUsers: true, idleConnections: false } },
+            {
+                $match: {
+                    active: true,
+                    secs_running: { $gte: minSeconds },
+                    // Internal threads have no client address
+                    $or: [{ client: { $exists: true } }, { client_s: { $exists: true } }],
+                    'cursor.tailable': { $ne: true },
+                    'cursor.awaitData': { $ne: true },
+                    'effectiveUsers.user': { $ne: '__system' }
+                }
+            },
+            { $sort: { secs_running: -1 } },
+            { $limit: limit }
+        ]).toArray();
+
+        return {
+            success: true,
+            data: ops.map(op => ({
+                opid: op.opid,
+                secsRunning: op.secs_running ?? 0,
+                op: op.op ?? 'unknown',
+                ns: op.ns || null,
+                desc: op.desc ?? null,
+                client: op.client ?? op.client_s ?? null,
+                appName: op.appName ?? null,
+                user: op.effectiveUsers?.[0]?.user ?? null,
+                planSummary: op.planSummary ?? null,
+                waitingForLock: op.waitingForLock ?? false,
+                shard: op.shard ?? null,
+                command: summarizeCommand(op.command)
+            }))
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Kill an operation by opid
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @param {number|string} opid - Operation ID (string "shard:opid" on mongos)
+ * @returns {Promise<Object>} killOp result
+ */
+async function killOp(db, opid) {
+    try {
+        const result = await db.admin().command({ killOp: 1, op: opid });
+        return {
+            success: result.ok === 1,
+            data: result
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Summarize long-running operations for a health check result
+ * @param {Array<Object>} ops - Operations from getLongRunningOps
+ * @param {number} [keep=5] - Number of operations to keep
+ * @returns {Object} Summary ({ count, oldestSeconds, ops })
+ */
+function summarizeLongRunningOps(ops, keep = 5) {
+    return {
+        count: ops.length,
+        oldestSeconds: ops.length > 0 ? ops[0].secsRunning : 0,
+        ops: ops.slice(0, keep)
+    };
+}
+
+module.exports = {
+    getLongRunningOps,
+    killOp,
+    summarizeLongRunningOps
+};
@@ -50,6 +50,79 @@ async function getServerStatus(db) {
     }
 }
 
+/**
+ * Get replica set status
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @returns {Promise<Object>} Replica set status result
+ */
+async function getReplSetStatus(db) {
+    try {
+        const status = await db.admin().command({ replSetGetStatus: 1 });
+        return {
+            success: true,
+            data: status
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get replica set configuration
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @returns {Promise<Object>} Replica set config result
+ */
+async function getReplSetConfig(db) {
+    try {
+        const result = await db.admin().command({ replSetGetConfig: 1 });
+        return {
+            success: true,
+            data: result.config
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the oplog window (time between the oldest and newest oplog entries)
+ * @param {import('mongodb').Db} localDb - The "local" database
+ * @returns {Promise<Object>} Oplog window result in seconds
+ */
+async function getOplogWindow(localDb) {
+    try {
+        const oplog = localDb.collection('oplog.rs');
+        const projection = { projection: { ts: 1 } };
+        
+        const [first] = await oplog.find({}, projection).sort({ $natural: 1 }).limit(1).toArray();
+        const [last] = await oplog.find({}, projection).sort({ $natural: -1 }).limit(1).toArray();
+        
+        if (!first?.ts || !last?.ts) {
+            return { success: false, error: 'Oplog is empty' };
+        }
+        
+        return {
+            success: true,
+            data: {
+                seconds: last.ts.getHighBits() - first.ts.getHighBits(),
+                first: new Date(first.ts.getHighBits() * 1000).toISOString(),
+                last: new Date(last.ts.getHighBits() * 1000).toISOString()
+            }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Extract uptime from server status
  * @param {Object} serverStatus - Server status object
@@ -66,10 +139,16 @@ function extractUptime(serverStatus) {
  */
 function extractConnections(serverStatus) {
     const connections = serverStatus?.connections ?? {};
+    const current = connections.current ?? 0;
+    const available = connections.available ?? 0;
     
     return {
-        current: connections.current ?? 0,
-        available: connections.available ?? 0,
+        current,
+        available,
+        // Percentage of the connection limit in use
+        utilization: current + available > 0
+            ? Math.round((current / (current + available)) * 10000) / 100
+            : 0,
         totalCreated: connections.totalCreated ?? 0,
         active: connections.active ?? 0,
         threaded: connections.threaded ?? 0,
@@ -150,6 +229,129 @@ function extractStorageEngine(serverStatus) {
     };
 }
 
+/**
+ * Calculate a percentage rounded to two decimals
+ * @param {number} part - Part value
+ * @param {number} total - Total value
+ * @returns {number|null} Percentage or null if total is zero
+ */
+function toPercent(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 100 : null;
+}
+
+/**
+ * Extract WiredTiger cache metrics from server status
+ * @param {Object} serverStatus - Server status object
+ * @returns {Object|null} Cache metrics in bytes or null if not WiredTiger
+ */
+function extractWiredTigerCache(serverStatus) {
+    const cache = serverStatus?.wiredTiger?.cache;
+    
+    if (!cache) {
+        return null;
+    }
+    
+    const bytesInCache = cache['bytes currently in the cache'] ?? 0;
+    const maxBytes = cache['maximum bytes configured'] ?? 0;
+    const dirtyBytes = cache['tracked dirty bytes in the cache'] ?? 0;
+    
+    return {
+        bytesInCache,
+        maxBytes,
+        dirtyBytes,
+        usedPercent: toPercent(bytesInCache, maxBytes),
+        dirtyPercent: toPercent(dirtyBytes, maxBytes),
+        pagesEvicted: (cache['unmodified pages evicted'] ?? 0) + (cache['modified pages evicted'] ?? 0),
+        // Application threads doing eviction means the eviction workers can't keep up
+        pagesEvictedByAppThreads: cache['pages evicted by application threads'] ?? 0
+    };
+}
+
+/**
+ * Extract read/write ticket metrics from server status
+ * Uses queues.execution (7.0+) and falls back to wiredTiger.concurrentTransactions.
+ * @param {Object} serverStatus - Server status object
+ * @returns {Object|null} Ticket metrics or null if unavailable
+ */
+function extractTickets(serverStatus) {
+    const execution = serverStatus?.queues?.execution;
+    const concurrent = serverStatus?.wiredTiger?.concurrentTransactions;
+    const source = execution?.read && execution?.write ? execution : concurrent;
+    
+    if (!source?.read || !source?.write) {
+        return null;
+    }
+    
+    const toTickets = (tickets) => {
+        const out = tickets.out ?? 0;
+        const available = tickets.available ?? 0;
+        const total = tickets.totalTickets ?? out + available;
+        
+        return {
+            out,
+            available,
+            total,
+            usedPercent: toPercent(out, total)
+        };
+    };
+    
+    return {
+        source: source === execution ? 'queues.execution' : 'wiredTiger.concurrentTransactions',
+        read: toTickets(source.read),
+        write: toTickets(source.write)
+    };
+}
+
+/**
+ * Extract global lock queue and per-resource lock metrics from server status
+ * @param {Object} serverStatus - Server status object
+ * @returns {Object|null} Lock metrics or null if unavailable
+ */
+function extractLocks(serverStatus) {
+    const globalLock = serverStatus?.globalLock;
+    const locks = serverStatus?.locks;
+    
+    if (!globalLock && !locks) {
+        return null;
+    }
+    
+    // Sum a lock counter over all modes (r, w, R, W)
+    const sumModes = (counter) => Object.values(counter ?? {}).reduce((sum, v) => sum + Number(v ?? 0), 0);
+    
+    const resources = {};
+    for (const [resource, stats] of Object.entries(locks ?? {})) {
+        resources[resource] = {
+            acquireCount: sumModes(stats.acquireCount),
+            acquireWaitCount: sumModes(stats.acquireWaitCount),
+            timeAcquiringMicros: sumModes(stats.timeAcquiringMicros),
+            deadlockCount: sumModes(stats.deadlockCount)
+        };
+    }
+    
+    const totals = Object.values(resources).reduce((sum, r) => ({
+        acquireWaitCount: sum.acquireWaitCount + r.acquireWaitCount,
+        timeAcquiringMicros: sum.timeAcquiringMicros + r.timeAcquiringMicros,
+        deadlockCount: sum.deadlockCount + r.deadlockCount
+    }), { acquireWaitCount: 0, timeAcquiringMicros: 0, deadlockCount: 0 });
+    
+    return {
+        queue: {
+            total: globalLock?.currentQueue?.total ?? 0,
+            readers: globalLock?.currentQueue?.readers ?? 0,
+            writers: globalLock?.currentQueue?.writers ?? 0
+        },
+        activeClients: {
+            total: globalLock?.activeClients?.total ?? 0,
+            readers: globalLock?.activeClients?.readers ?? 0,
+            writers: globalLock?.activeClients?.writers ?? 0
+        },
+        resources,
+        totals,
+        // Filled in by the monitor from recent samples
+        trend: null
+    };
+}
+
 /**
  * Extract version info from server status
  * @param {Object} serverStatus - Server status object
@@ -186,6 +388,143 @@ function extractReplicationInfo(serverStatus) {
     };
 }
 
+/**
+ * Extract replica set member health from replSetGetStatus and replSetGetConfig
+ * @param {Object} replStatus - replSetGetStatus response
+ * @param {Object|null} replConfig - replSetGetConfig "config" document
+ * @param {Object|null} oplogWindow - Oplog window from getOplogWindow
+ * @returns {Object} Replica set health
+ */
+function extractReplicaSetHealth(replStatus, replConfig, oplogWindow) {
+    const configMembers = new Map((replConfig?.members ?? []).map(m => [m.host, m]));
+    const statusMembers = replStatus?.members ?? [];
+    const primary = statusMembers.find(m => m.stateStr === 'PRIMARY') ?? null;
+    const primaryOptime = primary?.optimeDate ? new Date(primary.optimeDate).getTime() : null;
+    
+    const members = statusMembers.map((member) => {
+        const memberConfig = configMembers.get(member.name) ?? {};
+        const optime = member.optimeDate ? new Date(member.optimeDate).getTime() : null;
+        const isDataBearing = !memberConfig.arbiterOnly && member.stateStr !== 'ARBITER';
+        
+        return {
+            name: member.name,
+            state: member.stateStr ?? 'UNKNOWN',
+            health: member.health === 1,
+            self: member.self ?? false,
+            uptime: member.uptime ?? 0,
+            optimeDate: optime !== null ? new Date(optime).toISOString() : null,
+            // Seconds this member's last applied write trails the primary's
+            lagSeconds: primaryOptime !== null && optime !== null && isDataBearing
+                ? Math.max(0, (primaryOptime - optime) / 1000)
+                : null,
+            syncSource: member.syncSourceHost || null,
+            priority: memberConfig.priority ?? null,
+            votes: memberConfig.votes ?? null,
+            hidden: memberConfig.hidden ?? false,
+            arbiterOnly: memberConfig.arbiterOnly ?? false
+        };
+    });
+    
+    const lags = members.map(m => m.lagSeconds).filter(l => l !== null);
+    
+    return {
+        setName: replStatus?.set ?? replConfig?._id ?? 'unknown',
+        term: replStatus?.term ?? null,
+        configVersion: replConfig?.version ?? null,
+        primary: primary?.name ?? null,
+        electionDate: primary?.electionDate ? new Date(primary.electionDate).toISOString() : null,
+        electionChanged: false,
+        previousPrimary: null,
+        members,
+        healthyMembers: members.filter(m => m.health).length,
+        unhealthyMembers: members.filter(m => !m.health).length,
+        maxLagSeconds: lags.length > 0 ? Math.max(...lags) : null,
+        oplogWindowSeconds: oplogWindow?.seconds ?? null
+    };
+}
+
+/**
+ * Compute a per-second rate for each counter between two samples
+ * @param {Object} previous - Previous counter values
+ * @param {Object} current - Current counter values
+ * @param {Array<string>} keys - Counter keys to compute
+ * @param {number} elapsedSeconds - Seconds between the samples
+ * @returns {Object|null} Rates per second or null if a counter went backwards
+ */
+function computeCounterRates(previous, current, keys, elapsedSeconds) {
+    const rates = {};
+    
+    for (const key of keys) {
+        const delta = (current[key] ?? 0) - (previous[key] ?? 0);
+        
+        // A counter going backwards means the server restarted and counters reset
+        if (delta < 0) {
+            return null;
+        }
+        
+        rates[key] = Math.round((delta / elapsedSeconds) * 100) / 100;
+    }
+    
+    return rates;
+}
+
+/**
+ * Compute operation and network rates from two consecutive samples
+ * @param {Object|null} previous - Previous sample ({ timestamp, uptime, operations, network, cache, locks })
+ * @param {Object} current - Current sample ({ timestamp, uptime, operations, network, cache, locks })
+ * @returns {Object|null} Rates or null if no valid baseline exists
+ */
+function computeRates(previous, current) {
+    if (!previous || !current.operations || !current.network) {
+        return null;
+    }
+    
+    const elapsedSeconds = (current.timestamp - previous.timestamp) / 1000;
+    
+    // Server restarted between samples (uptime went backwards)
+    if (elapsedSeconds <= 0 || current.uptime < previous.uptime) {
+        return null;
+    }
+    
+    const operations = computeCounterRates(
+        previous.operations,
+        current.operations,
+        ['insert', 'query', 'update', 'delete', 'getmore', 'command'],
+        elapsedSeconds
+    );
+    const network = computeCounterRates(
+        previous.network,
+        current.network,
+        ['bytesIn', 'bytesOut', 'numRequests'],
+        elapsedSeconds
+    );
+    
+    if (!operations || !network) {
+        return null;
+    }
+    
+    // WiredTiger eviction rate, when both samples have cache metrics
+    const evictions = previous.cache && current.cache
+        ? computeCounterRates(previous.cache, current.cache, ['pagesEvicted', 'pagesEvictedByAppThreads'], elapsedSeconds)
+        : null;
+    
+    // Lock acquisitions that had to wait, when both samples have lock metrics
+    const lockWaits = previous.locks && current.locks
+        ? computeCounterRates(previous.locks.totals, current.locks.totals, ['acquireWaitCount', 'timeAcquiringMicros'], elapsedSeconds)
+        : null;
+    
+    return {
+        interval: elapsedSeconds,
+        evictions,
+        lockWaits,
+        operations: {
+            ...operations,
+            total: Math.round(Object.values(operations).reduce((sum, v) => sum + v, 0) * 100) / 100
+        },
+        network
+    };
+}
+
 /**
  * Compile all health metrics into a single object
  * @param {Object} pingResult - Result from pingDatabase
@@ -216,7 +555,10 @@ function compileHealthMetrics(pingResult, serverStatusResult) {
             operations: extractOperations(status),
             storageEngine: extractStorageEngine(status),
             version: extractVersionInfo(status),
-            replication: extractReplicationInfo(status)
+            replication: extractReplicationInfo(status),
+            cache: extractWiredTigerCache(status),
+            tickets: extractTickets(status),
+            locks: extractLocks(status)
         }
     };
 }
@@ -224,13 +566,21 @@ function compileHealthMetrics(pingResult, serverStatusResult) {
 module.exports = {
     pingDatabase,
     getServerStatus,
+    getReplSetStatus,
+    getReplSetConfig,
+    getOplogWindow,
     extractUptime,
     extractConnections,
     extractMemory,
     extractNetwork,
     extractOperations,
     extractStorageEngine,
+    extractWiredTigerCache,
+    extractTickets,
+    extractLocks,
     extractVersionInfo,
     extractReplicationInfo,
+    extractReplicaSetHealth,
+    computeRates,
     compileHealthMetrics
 };
@@ -3,10 +3,18 @@
  * Handles connections and monitoring for all MongoDB instances
  */
 
+const { EventEmitter } = require('events');
 const { MongoClient } = require('mongodb');
+const config = require('../config');
 const logger = require('../utils/logger');
 const healthCheck = require('./healthCheck');
+const shardingCheck = require('./shardingCheck');
+const storageCheck = require('./storageCheck');
+const currentOpCheck = require('./currentOpCheck');
+const profilerCheck = require('./profilerCheck');
 const { getCurrentTimestamp } = require('../utils/time');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { computeTrend } = require('../utils/stats');
 
 /**
  * Store for tracking reconnection attempts per instance
@@ -18,6 +26,62 @@ const reconnectInfo = new Map();
  */
 const activeClients = new Map();
 
+/**
+ * Store for long-lived clients in persistent mode
+ * Each entry: { client, connected, heartbeat, servers, topologyType }
+ * `servers` holds the last heartbeat per server address, `heartbeat` the summary over all of them.
+ */
+const persistentClients = new Map();
+
+/**
+ * Emits 'heartbeatFailed' and 'heartbeatRecovered' from persistent clients,
+ * so outages can be acted on between monitoring cycles
+ */
+const events = new EventEmitter();
+
+/**
+ * Store for the previous counter sample per instance (for rate calculation)
+ */
+const previousSamples = new Map();
+
+/**
+ * Number of recent lock queue samples used for the contention trend
+ */
+const LOCK_TREND_WINDOW = 5;
+
+/**
+ * Store for recent lock queue samples per instance ({ readers, writers })
+ */
+const lockQueueHistory = new Map();
+
+/**
+ * Store for the most recent samples per instance, oldest first
+ * Each entry: { t (epoch ms), online, ping, connections, memory, opsPerSec }
+ */
+const recentSamples = new Map();
+
+/**
+ * Store for the last seen replica set primary/term per instance (election detection)
+ */
+const previousReplicaStates = new Map();
+
+/**
+ * Store for the last collected storage statistics per instance
+ * Each entry: { data, collectedAt (epoch ms) }
+ */
+const storageCache = new Map();
+
+/**
+ * Databases where profiling level 1 was already enabled, as `${instance}/${db}`
+ * Cleared when the server restarts, since mongod doesn't keep the level.
+ */
+const profiledDatabases = new Set();
+
+/**
+ * Databases where enabling profiling failed and was reported, as `${instance}/${db}`
+ */
+const profilingFailures = new Set();
+
 /**
  * Initialize reconnect tracking for an instance
  * @param {string} name - Instance name
@@ -64,6 +128,15 @@ function recordFailure(name, reason) {
     }
 }
 
+/**
+ * Store reconnect info reported by the shard that checks an instance
+ * @param {string} name - Instance name
+ * @param {Object} info - Reconnect info of the instance
+ */
+function setReconnectInfo(name, info) {
+    reconnectInfo.set(name, { ...info });
+}
+
 /**
  * Get reconnect info for all instances
  * @returns {Object} Reconnect info map as object
@@ -94,6 +167,235 @@ function createConnectionOptions(instanceConfig) {
     };
 }
 
+/**
+ * Check whether an instance should use a persistent client
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {boolean} Whether persistent mode is enabled
+ */
+function isPersistent(instanceConfig) {
+    return instanceConfig.persistent ?? config.persistentClient.enabled;
+}
+
+/**
+ * Record a heartbeat of one server and update the instance's heartbeat summary
+ * Events are only emitted when the whole topology changes between reachable
+ * (any server answering) and unreachable, so one member down in a replica set
+ * or mongos list doesn't flip the state on every heartbeat.
+ * @param {string} name - Instance name
+ * @param {Object} entry - Persistent client entry
+ * @param {string} address - Server address (heartbeat connectionId)
+ * @param {Object} server - Heartbeat ({ ok, duration, failure })
+ */
+function recordHeartbeat(name, entry, address, server) {
+    const wasOk = entry.heartbeat.ok;
+    
+    entry.servers.set(address, { ...server, at: getCurrentTimestamp() });
+    
+    const servers = [...entry.servers.values()];
+    const up = servers.filter(s => s.ok);
+    const failing = servers.find(s => !s.ok);
+    
+    entry.heartbeat = {
+        ok: up.length > 0,
+        duration: server.ok ? server.duration : entry.heartbeat.duration,
+        at: getCurrentTimestamp(),
+        failure: failing?.failure ?? null,
+        serversUp: up.length,
+        serversTotal: servers.length
+    };
+    
+    if (wasOk === false && entry.heartbeat.ok) {
+        logger.info(`[MongoDB] ${name}: Heartbeat recovered (${address})`);
+        events.emit('heartbeatRecovered', { name, connectionId: address });
+    } else if (wasOk !== false && !entry.heartbeat.ok) {
+        logger.warn(`[MongoDB] ${name}: Heartbeat failed on every server (${address}): ${server.failure}`);
+        events.emit('heartbeatFailed', { name, connectionId: address, error: server.failure });
+    }
+}
+
+/**
+ * Attach SDAM and heartbeat listeners to a persistent client
+ * @param {string} name - Instance name
+ * @param {Object} entry - Persistent client entry
+ */
+function attachMonitoringListeners(name, entry) {
+    const { client } = entry;
+    
+    client.on('serverHeartbeatSucceeded', (event) => {
+        recordHeartbeat(name, entry, event.connectionId, { ok: true, duration: event.duration, failure: null });
+    });
+    
+    client.on('serverHeartbeatFailed', (event) => {
+        const failure = event.failure?.message ?? 'Heartbeat failed';
+        const previous = entry.servers.get(event.connectionId);
+        
+        if (previous?.ok !== false) {
+            logger.debug(`[MongoDB] ${name}: Heartbeat failed on ${event.connectionId}: ${failure}`);
+        }
+        
+        recordHeartbeat(name, entry, event.connectionId, { ok: false, duration: event.duration, failure });
+    });
+    
+    // Servers leaving the topology (e.g. removed members) no longer count
+    client.on('serverClosed', (event) => {
+        entry.servers.delete(event.address);
+    });
+    
+    client.on('topologyDescriptionChanged', (event) => {
+        const previousType = event.previousDescription?.type;
+        const newType = event.newDescription?.type;
+        entry.topologyType = newType ?? entry.topologyType;
+        
+        if (previousType !== newType) {
+            logger.info(`[MongoDB] ${name}: Topology changed ${previousType ?? 'Unknown'} -> ${newType ?? 'Unknown'}`);
+        }
+    });
+}
+
+/**
+ * Get or create the persistent client for an instance
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Promise<Object>} Persistent client entry
+ */
+async function getPersistentClient(instanceConfig) {
+    const { name, uri, timeoutMS } = instanceConfig;
+    let entry = persistentClients.get(name);
+    
+    if (entry?.connected) {
+        return entry;
+    }
+    
+    if (!entry) {
+        const options = {
+            ...createConnectionOptions(instanceConfig),
+            maxPoolSize: 2,
+            maxIdleTimeMS: 0,
+            heartbeatFrequencyMS: config.persistentClient.heartbeatFrequencyMS
+        };
+        
+        entry = {
+            client: new MongoClient(uri, options),
+            connected: false,
+            heartbeat: { ok: null, duration: null, at: null, failure: null, serversUp: 0, serversTotal: 0 },
+            servers: new Map(),
+            topologyType: null
+        };
+        
+        attachMonitoringListeners(name, entry);
+        persistentClients.set(name, entry);
+    }
+    
+    logger.debug(`[MongoDB] Opening persistent client for ${name}...`);
+    
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Connection timeout')), timeoutMS || 5000);
+    });
+    
+    try {
+        await Promise.race([entry.client.connect(), timeoutPromise]);
+        entry.connected = true;
+    } catch (error) {
+        // Discard the client so the next cycle starts from a clean state
+        persistentClients.delete(name);
+        entry.client.close().catch(() => {});
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    
+    return entry;
+}
+
+/**
+ * Get heartbeat information for an instance in persistent mode
+ * @param {string} name - Instance name
+ * @returns {Object|null} Heartbeat info or null if not in persistent mode
+ */
+function getHeartbeatInfo(name) {
+    const entry = persistentClients.get(name);
+    
+    if (!entry) {
+        return null;
+    }
+    
+    return {
+        ...entry.heartbeat,
+        topologyType: entry.topologyType
+    };
+}
+
+/**
+ * Gather replica set member health and detect elections
+ * @param {string} name - Instance name
+ * @param {import('mongodb').MongoClient} mongoClient - Connected client
+ * @returns {Promise<Object|null>} Replica set health or null if unavailable
+ */
+async function collectReplicaSetHealth(name, mongoClient) {
+    const adminDb = mongoClient.db('admin');
+    const statusResult = await healthCheck.getReplSetStatus(adminDb);
+    
+    if (!statusResult.success) {
+        logger.debug(`[MongoDB] ${name}: replSetGetStatus failed: ${statusResult.error}`);
+        return null;
+    }
+    
+    const configResult = await healthCheck.getReplSetConfig(adminDb);
+    if (!configResult.success) {
+        logger.debug(`[MongoDB] ${name}: replSetGetConfig failed: ${configResult.error}`);
+    }
+    
+    const oplogResult = await healthCheck.getOplogWindow(mongoClient.db('local'));
+    if (!oplogResult.success) {
+        logger.debug(`[MongoDB] ${name}: Could not read oplog window: ${oplogResult.error}`);
+    }
+    
+    const replicaSet = healthCheck.extractReplicaSetHealth(
+        statusResult.data,
+        configResult.success ? configResult.data : null,
+        oplogResult.success ? oplogResult.data : null
+    );
+    
+    // A new primary or a new term means an election happened since the last check
+    const previous = previousReplicaStates.get(name);
+    if (previous && (previous.primary !== replicaSet.primary || previous.term !== replicaSet.term)) {
+        replicaSet.electionChanged = true;
+        replicaSet.previousPrimary = previous.primary;
+        logger.warn(`[MongoDB] ${name}: Replica set ${replicaSet.setName} primary changed ${previous.primary ?? 'none'} -> ${replicaSet.primary ?? 'none'}`);
+    }
+    previousReplicaStates.set(name, { primary: replicaSet.primary, term: replicaSet.term });
+    
+    return replicaSet;
+}
+
+/**
+ * Get storage statistics, collecting them only when the cached copy is stale
+ * @param {string} name - Instance name
+ * @param {import('mongodb').MongoClient} mongoClient - Connected client
+ * @param {boolean} force - Collect even if the cached copy is fresh
+ * @returns {Promise<Object|null>} Storage statistics or null if unavailable
+ */
+async function getStorageStats(name, mongoClient, force) {
+    const cached = storageCache.get(name);
+    
+    if (!force && cached && Date.now() - cached.collectedAt < config.storage.interval) {
+        return cached.data;
+    }
+    
+    const data = await storageCheck.collectStorageStats(name, mongoClient, {
+        excludeDatabases: config.storage.excludeDatabases,
+        maxDatabases: config.storage.maxDatabases,
+        topCollections: config.storage.topCollections
+    });
+    
+    if (data) {
+        storageCache.set(name, { data, collectedAt: Date.now() });
+        return data;
+    }
+    
+    return cached?.data ?? null;
+}
+
 /**
  * Connect to a MongoDB instance and gather metrics
  * @param {Object} instanceConfig - Instance configuration
@@ -101,6 +403,7 @@ function createConnectionOptions(instanceConfig) {
  */
 async function checkInstance(instanceConfig) {
     const { name, uri, timeoutMS } = instanceConfig;
+    const persistent = isPersistent(instanceConfig);
     let client = null;
     
     initReconnectTracking(name);
@@ -117,30 +420,48 @@ async function checkInstance(instanceConfig) {
         storageEngine: null,
         version: null,
         replication: null,
+        cache: null,
+        tickets: null,
+        locks: null,
+        rates: null,
+        replicaSet: null,
+        cluster: null,
+        storage: null,
+        longRunningOps: null,
+        heartbeat: null,
         error: null,
         lastCheck: getCurrentTimestamp()
     };
     
     try {
-        logger.debug(`[MongoDB] Connecting to ${name}...`);
+        let mongoClient;
         
-        // Create client with options
-        const options = createConnectionOptions(instanceConfig);
-        client = new MongoClient(uri, options);
-        
-        // Store client for cleanup
-        activeClients.set(name, client);
-        
-        // Connect with timeout
-        const connectPromise = client.connect();
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Connection timeout')), timeoutMS || 5000);
-        });
-        
-        await Promise.race([connectPromise, timeoutPromise]);
+        if (persistent) {
+            // Reuse the long-lived client
+            const entry = await getPersistentClient(instanceConfig);
+            mongoClient = entry.client;
+        } else {
+            logger.debug(`[MongoDB] Connecting to ${name}...`);
+            
+            // Create client with options
+            const options = createConnectionOptions(instanceConfig);
+            client = new MongoClient(uri, options);
+            
+            // Store client for cleanup
+            activeClients.set(name, client);
+            
+            // Connect with timeout
+            const connectPromise = client.connect();
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => reject(new Error('Connection timeout')), timeoutMS || 5000);
+            });
+            
+            await Promise.race([connectPromise, timeoutPromise]);
+            mongoClient = client;
+        }
         
         // Get database reference
-        const db = client.db('admin');
+        const db = mongoClient.db('admin');
         
         // Ping the database
         const pingResult = await healthCheck.pingDatabase(db);
@@ -172,6 +493,73 @@ async function checkInstance(instanceConfig) {
             result.storageEngine = health.metrics.storageEngine;
             result.version = health.metrics.version;
             result.replication = health.metrics.replication;
+            result.cache = health.metrics.cache;
+            result.tickets = health.metrics.tickets;
+            result.locks = health.metrics.locks;
+            
+            // Trend of queued readers/writers over the last few checks
+            if (result.locks) {
+                const queueHistory = [...(lockQueueHistory.get(name) ?? []), result.locks.queue].slice(-LOCK_TREND_WINDOW);
+                lockQueueHistory.set(name, queueHistory);
+                
+                result.locks.trend = {
+                    readers: computeTrend(queueHistory.map(q => q.readers), 0.5),
+                    writers: computeTrend(queueHistory.map(q => q.writers), 0.5)
+                };
+            }
+            
+            // Compute per-second rates against the previous sample
+            const sample = {
+                timestamp: Date.now(),
+                uptime: result.uptime,
+                operations: result.operations,
+                network: result.network,
+                cache: result.cache,
+                locks: result.locks
+            };
+            const previousSample = previousSamples.get(name);
+            result.rates = healthCheck.computeRates(previousSample, sample);
+            previousSamples.set(name, sample);
+            
+            // Server restarted (uptime went backwards), which turns profiling off again
+            if (previousSample && sample.uptime < previousSample.uptime) {
+                forgetProfiledDatabases(name);
+            }
+            
+            // Enable profiling from the first check on, so the first digest already has entries
+            if (config.profiler.enabled && config.profiler.enableProfiling) {
+                await enableProfiling(name, mongoClient, getProfilerDatabases(instanceConfig));
+            }
+            
+            // Replica set member health (only for replica set members)
+            if (result.replication) {
+                result.replicaSet = await collectReplicaSetHealth(name, mongoClient);
+            }
+            
+            // Sharded cluster details when connected to a mongos router
+            if (shardingCheck.isMongos(result.version)) {
+                result.cluster = await shardingCheck.collectClusterInfo(name, mongoClient, {
+                    uri,
+                    connectionOptions: createConnectionOptions(instanceConfig),
+                    checkShardHealth: config.sharding.checkShardHealth,
+                    maxCollections: config.sharding.maxCollections
+                });
+            }
+            
+            // Operations running longer than the configured threshold
+            if (config.currentOp.enabled) {
+                const opsResult = await currentOpCheck.getLongRunningOps(db, config.currentOp.thresholdSeconds);
+                if (opsResult.success) {
+                    result.longRunningOps = currentOpCheck.summarizeLongRunningOps(opsResult.data);
+                } else {
+                    logger.debug(`[MongoDB] ${name}: $currentOp failed: ${opsResult.error}`);
+                }
+            }
+            
+            // Database and collection sizes (collected on their own, slower interval)
+            if (config.storage.enabled) {
+                result.storage = await getStorageStats(name, mongoClient, false);
+            }
         }
         
         recordSuccess(name);
@@ -186,7 +574,9 @@ async function checkInstance(instanceConfig) {
         logger.debug(`[MongoDB] ${name} error: ${error.message}`);
         
     } finally {
-        // Always close the client after checking
+        result.heartbeat = getHeartbeatInfo(name);
+        
+        // Always close per-check clients; persistent clients stay open
         if (client) {
             try {
                 await client.close();
@@ -197,9 +587,200 @@ async function checkInstance(instanceConfig) {
         }
     }
     
+    recordRecentSample(name, result);
+    
     return result;
 }
 
+/**
+ * Add a result to the recent samples of an instance, dropping the oldest beyond the window
+ * Also used for results checked by other shards.
+ * @param {string} name - Instance name
+ * @param {Object} result - Health check result
+ */
+function recordRecentSample(name, result) {
+    const samples = recentSamples.get(name) ?? [];
+    
+    samples.push({
+        t: Date.parse(result.lastCheck) || Date.now(),
+        online: result.online,
+        ping: result.ping,
+        connections: result.connections?.current ?? null,
+        memory: result.memory?.resident ?? null,
+        opsPerSec: result.rates?.operations.total ?? null
+    });
+    
+    recentSamples.set(name, samples.slice(-config.recentSamples.size));
+}
+
+/**
+ * Get the recent samples of an instance
+ * @param {string} name - Instance name
+ * @returns {Array<Object>} Samples, oldest first
+ */
+function getRecentSamples(name) {
+    return [...(recentSamples.get(name) ?? [])];
+}
+
+/**
+ * Run a task with a connected client for an instance
+ * Uses the persistent client when enabled, otherwise a short-lived one that is closed afterwards.
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {function(import('mongodb').MongoClient): Promise<*>} task - Task to run
+ * @returns {Promise<*>} Task result
+ */
+async function withClient(instanceConfig, task) {
+    if (isPersistent(instanceConfig)) {
+        const entry = await getPersistentClient(instanceConfig);
+        return task(entry.client);
+    }
+    
+    const client = new MongoClient(instanceConfig.uri, createConnectionOptions(instanceConfig));
+    
+    try {
+        await client.connect();
+        return await task(client);
+    } finally {
+        try {
+            await client.close();
+        } catch (closeError) {
+            logger.debug(`[MongoDB] Error closing ${instanceConfig.name} connection: ${closeError.message}`);
+        }
+    }
+}
+
+/**
+ * Get operations running for at least `minSeconds` on an instance
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {number} minSeconds - Minimum running time in seconds
+ * @returns {Promise<Array<Object>>} Operations, oldest first
+ */
+async function getLongRunningOps(instanceConfig, minSeconds) {
+    return withClient(instanceConfig, async (mongoClient) => {
+        const result = await currentOpCheck.getLongRunningOps(mongoClient.db('admin'), minSeconds);
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        return result.data;
+    });
+}
+
+/**
+ * Collect fresh storage statistics for an instance, without running a full check
+ * Refreshes the cached copy used by scheduled checks.
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Promise<Object|null>} Storage statistics or null if unavailable
+ */
+async function collectStorageStats(instanceConfig) {
+    return withClient(instanceConfig, (mongoClient) => getStorageStats(instanceConfig.name, mongoClient, true));
+}
+
+/**
+ * Test that an instance configuration connects, without touching any monitoring state
+ * Always uses a one-off client, since a persistent client would still use the old settings.
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Promise<{success: boolean, latency: number|null, error?: string}>} Ping result
+ */
+async function testConnection(instanceConfig) {
+    try {
+        return await withClient({ ...instanceConfig, persistent: false }, (mongoClient) => healthCheck.pingDatabase(mongoClient.db('admin')));
+    } catch (error) {
+        return { success: false, latency: null, error: error.message };
+    }
+}
+
+/**
+ * Kill an operation on an instance
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {number|string} opid - Operation ID
+ * @returns {Promise<void>}
+ */
+async function killOperation(instanceConfig, opid) {
+    await withClient(instanceConfig, async (mongoClient) => {
+        const result = await currentOpCheck.killOp(mongoClient.db('admin'), opid);
+        
+        if (!result.success) {
+            throw new Error(result.error || 'killOp failed');
+        }
+    });
+    
+    logger.warn(`[MongoDB] ${instanceConfig.name}: Killed operation ${opid}`);
+}
+
+/**
+ * Get the databases to read the profiler from for an instance
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Array<string>} Database names
+ */
+function getProfilerDatabases(instanceConfig) {
+    return instanceConfig.profilerDatabases ?? config.profiler.databases;
+}
+
+/**
+ * Enable profiling level 1 on the databases where it isn't enabled yet
+ * @param {string} name - Instance name
+ * @param {import('mongodb').MongoClient} mongoClient - Connected client
+ * @param {Array<string>} databases - Database names
+ * @returns {Promise<void>}
+ */
+async function enableProfiling(name, mongoClient, databases) {
+    for (const dbName of databases) {
+        const key = `${name}/${dbName}`;
+        if (profiledDatabases.has(key)) continue;
+        
+        const result = await profilerCheck.setProfilingLevel(mongoClient.db(dbName), 1, config.profiler.slowms);
+        if (result.success) {
+            profiledDatabases.add(key);
+            profilingFailures.delete(key);
+            logger.info(`[Profiler] ${name}: Enabled profiling level 1 on ${dbName} (slowms: ${config.profiler.slowms})`);
+        } else if (!profilingFailures.has(key)) {
+            // Retried on every check, but only reported once
+            profilingFailures.add(key);
+            logger.warn(`[Profiler] ${name}: Could not enable profiling on ${dbName}: ${result.error}`);
+        }
+    }
+}
+
+/**
+ * Forget which databases of an instance have profiling enabled, so it is enabled again
+ * @param {string} name - Instance name
+ */
+function forgetProfiledDatabases(name) {
+    for (const key of profiledDatabases) {
+        if (key.startsWith(`${name}/`)) profiledDatabases.delete(key);
+    }
+    for (const key of profilingFailures) {
+        if (key.startsWith(`${name}/`)) profilingFailures.delete(key);
+    }
+}
+
+/**
+ * Build a slow query digest for an instance from its profiler entries
+ * Checks enable profiling level 1 when `profiler.enableProfiling` is set; the digest
+ * does too, in case no check has managed to yet.
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Date} since - Only profiler entries after this time
+ * @returns {Promise<Object>} Digest ({ entries, scanned, errors })
+ */
+async function getSlowQueryDigest(instanceConfig, since) {
+    const { name } = instanceConfig;
+    const databases = getProfilerDatabases(instanceConfig);
+    
+    return withClient(instanceConfig, async (mongoClient) => {
+        if (config.profiler.enableProfiling) {
+            await enableProfiling(name, mongoClient, databases);
+        }
+        
+        return profilerCheck.collectSlowQueryDigest(name, mongoClient, {
+            databases,
+            since,
+            maxEntries: config.profiler.maxEntries
+        });
+    });
+}
+
 /**
  * Check all MongoDB instances
  * @param {Array<Object>} instances - Array of instance configurations
@@ -208,24 +789,21 @@ async function checkInstance(instanceConfig) {
 async function checkAllInstances(instances) {
     logger.debug(`[MongoDB] Checking ${instances.length} instance(s)...`);
     
-    const results = [];
-    
-    // Check instances sequentially to avoid connection issues
-    for (const instance of instances) {
+    // Check instances concurrently, bounded by the configured limit
+    const results = await mapWithConcurrency(instances, config.concurrency, async (instance) => {
         try {
-            const result = await checkInstance(instance);
-            results.push(result);
+            return await checkInstance(instance);
         } catch (error) {
             // Should never reach here due to error handling in checkInstance
             logger.error(`[MongoDB] Unexpected error checking ${instance.name}: ${error.message}`);
-            results.push({
+            return {
                 name: instance.name,
                 online: false,
                 error: error.message,
                 lastCheck: getCurrentTimestamp()
-            });
+            };
         }
-    }
+    });
     
     // Log summary
     const onlineCount = results.filter(r => r.online).length;
@@ -250,9 +828,54 @@ async function closeAllConnections() {
     }
     
     activeClients.clear();
+    
+    for (const [name, entry] of persistentClients) {
+        try {
+            await entry.client.close();
+            logger.debug(`[MongoDB] Closed persistent client: ${name}`);
+        } catch (error) {
+            logger.debug(`[MongoDB] Error closing persistent client ${name}: ${error.message}`);
+        }
+    }
+    
+    persistentClients.clear();
     logger.info('[MongoDB] All connections closed');
 }
 
+/**
+ * Close the persistent client of an instance, so the next check connects with its current settings
+ * @param {string} name - Instance name
+ */
+async function closeInstanceClient(name) {
+    const entry = persistentClients.get(name);
+    if (!entry) return;
+    
+    persistentClients.delete(name);
+    
+    try {
+        await entry.client.close();
+        logger.debug(`[MongoDB] Closed persistent client: ${name}`);
+    } catch (error) {
+        logger.debug(`[MongoDB] Error closing persistent client ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Drop all state kept for an instance that is no longer monitored
+ * @param {string} name - Instance name
+ */
+async function forgetInstance(name) {
+    await closeInstanceClient(name);
+    
+    reconnectInfo.delete(name);
+    previousSamples.delete(name);
+    lockQueueHistory.delete(name);
+    recentSamples.delete(name);
+    previousReplicaStates.delete(name);
+    storageCache.delete(name);
+    forgetProfiledDatabases(name);
+}
+
 /**
  * Get status summary for quick checks
  * @param {Array<Object>} results - Health check results
@@ -284,7 +907,20 @@ function getStatusSummary(results) {
 module.exports = {
     checkInstance,
     checkAllInstances,
+    getLongRunningOps,
+    collectStorageStats,
+    testConnection,
+    killOperation,
+    getProfilerDatabases,
+    getSlowQueryDigest,
     closeAllConnections,
+    closeInstanceClient,
+    forgetInstance,
     getReconnectInfo,
-    getStatusSummary
+    setReconnectInfo,
+    getHeartbeatInfo,
+    recordRecentSample,
+    getRecentSamples,
+    getStatusSummary,
+    events
 };
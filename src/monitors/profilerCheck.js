@@ -0,0 +1,207 @@
+/**
+ * MongoMonitorBot - Profiler Checks
+ * Functions for reading the database profiler and building slow query digests
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Command fields that don't describe the query shape
+ */
+const IGNORED_COMMAND_FIELDS = [
+    'lsid', '$clusterTime', '$db', '$readPreference', 'txnNumber', 'autocommit',
+    'startTransaction', 'readConcern', 'writeConcern', 'maxTimeMS', 'comment',
+    'batchSize', 'cursor', 'singleBatch', 'limit', 'skip', 'let', 'apiVersion',
+    'apiStrict', 'apiDeprecationErrors', 'shardVersion', 'databaseVersion'
+];
+
+/**
+ * Maximum length of the shape shown per digest entry
+ */
+const SHAPE_LENGTH = 300;
+
+/**
+ * Replace literal values with "?" so queries that differ only by values share a shape
+ * @param {*} value - Value to normalize
+ * @returns {*} Normalized value
+ */
+function toShape(value) {
+    if (Array.isArray(value)) {
+        // Keep the structure of pipelines and $and/$or lists, collapse value lists
+        return value.length > 0 && value.every(v => v && typeof v === 'object' && !Array.isArray(v))
+            ? value.map(toShape)
+            : '?';
+    }
+
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        const shaped = {};
+        for (const key of Object.keys(value).sort()) {
+            shaped[key] = toShape(value[key]);
+        }
+        return shaped;
+    }
+
+    return '?';
+}
+
+/**
+ * Build a shape string for a profiler entry's command
+ * @param {Object} entry - system.profile document
+ * @returns {string} Query shape
+ */
+function getQueryShape(entry) {
+    const command = { ...(entry.command ?? entry.query ?? {}) };
+
+    for (const field of IGNORED_COMMAND_FIELDS) {
+        delete command[field];
+    }
+
+    // The command name's value is the collection name, keep it verbatim
+    const [commandName] = Object.keys(entry.command ?? {});
+    const shaped = toShape(command);
+    if (commandName && commandName in command) {
+        shaped[commandName] = command[commandName];
+    }
+
+    const json = JSON.stringify(shaped);
+    return json.length > SHAPE_LENGTH ? `${json.slice(0, SHAPE_LENGTH - 1)}…` : json;
+}
+
+/**
+ * Set the profiling level of a database
+ * @param {import('mongodb').Db} db - Database to profile
+ * @param {number} level - Profiling level (0, 1 or 2)
+ * @param {number} slowms - Slow operation threshold in milliseconds
+ * @returns {Promise<Object>} profile command result
+ */
+async function setProfilingLevel(db, level, slowms) {
+    try {
+        const result = await db.command({ profile: level, slowms });
+        return {
+            success: true,
+            data: { previousLevel: result.was, slowms: result.slowms }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Read profiler entries newer than a given time
+ * @param {import('mongodb').Db} db - Profiled database
+ * @param {Date} since - Only entries after this time
+ * @param {number} maxEntries - Maximum number of entries to read
+ * @returns {Promise<Object>} Profiler entries result
+ */
+async function readProfile(db, since, maxEntries) {
+    try {
+        const entries = await db.collection('system.profile')
+            .find({ ts: { $gt: since } })
+            .sort({ ts: -1 })
+            .limit(maxEntries)
+            .toArray();
+
+        return {
+            success: true,
+            data: entries
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Group profiler entries by namespace and query shape
+ * @param {Array<Object>} entries - system.profile documents
+ * @returns {Array<Object>} Digest entries sorted by total time, slowest first
+ */
+function buildDigest(entries) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+        const shape = getQueryShape(entry);
+        const key = `${entry.ns}|${entry.op}|${entry.queryHash ?? shape}`;
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                ns: entry.ns,
+                op: entry.op,
+                queryHash: entry.queryHash ?? null,
+                shape,
+                count: 0,
+                totalMillis: 0,
+                maxMillis: 0,
+                docsExamined: 0,
+                keysExamined: 0,
+                docsReturned: 0,
+                collscan: false,
+                planSummary: null
+            });
+        }
+
+        const group = groups.get(key);
+        const millis = entry.millis ?? 0;
+
+        group.count++;
+        group.totalMillis += millis;
+        group.maxMillis = Math.max(group.maxMillis, millis);
+        group.docsExamined += entry.docsExamined ?? 0;
+        group.keysExamined += entry.keysExamined ?? 0;
+        group.docsReturned += entry.nreturned ?? 0;
+        group.collscan = group.collscan || /COLLSCAN/.test(entry.planSummary ?? '');
+        group.planSummary = group.planSummary ?? entry.planSummary ?? null;
+    }
+
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            avgMillis: Math.round(group.totalMillis / group.count)
+        }))
+        .sort((a, b) => b.totalMillis - a.totalMillis);
+}
+
+/**
+ * Collect a slow query digest across the configured databases
+ * @param {string} name - Instance name
+ * @param {import('mongodb').MongoClient} mongoClient - Connected client
+ * @param {Object} options - Digest options
+ * @param {Array<string>} options.databases - Databases to read system.profile from
+ * @param {Date} options.since - Only entries after this time
+ * @param {number} options.maxEntries - Maximum profiler entries to read per database
+ * @returns {Promise<Object>} Digest ({ entries, scanned, errors })
+ */
+async function collectSlowQueryDigest(name, mongoClient, options) {
+    const allEntries = [];
+    const errors = [];
+
+    for (const dbName of options.databases) {
+        const result = await readProfile(mongoClient.db(dbName), options.since, options.maxEntries);
+
+        if (result.success) {
+            allEntries.push(...result.data);
+        } else {
+            errors.push(`${dbName}: ${result.error}`);
+            logger.debug(`[Profiler] ${name}: Could not read ${dbName}.system.profile: ${result.error}`);
+        }
+    }
+
+    return {
+        entries: buildDigest(allEntries),
+        scanned: allEntries.length,
+        errors
+    };
+}
+
+module.exports = {
+    getQueryShape,
+    setProfilingLevel,
+    readProfile,
+    buildDigest,
+    collectSlowQueryDigest
+};
@@ -0,0 +1,328 @@
+/**
+ * MongoMonitorBot - Check Scheduler
+ * Runs instance checks concurrently, each on its own interval
+ * When sharded, only instances owned by this shard are checked; results of the others come from their owners.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const mongoMonitor = require('./mongoMonitor');
+const { createLimiter } = require('../utils/concurrency');
+
+/**
+ * Scheduling state per instance
+ * Each entry: { instance, owned, timer, running, lastStartedAt }
+ */
+const schedules = new Map();
+
+/**
+ * Latest check result per instance
+ */
+const latestResults = new Map();
+
+/**
+ * Shared limiter so no more than `config.concurrency` checks run at once
+ */
+let limit = null;
+
+/**
+ * Callback invoked with every completed check result
+ */
+let resultHandler = null;
+
+/**
+ * Decides whether this process checks an instance
+ */
+let isOwned = () => true;
+
+let isRunning = false;
+
+/**
+ * Get the check interval for an instance
+ * @param {Object} instance - Instance configuration
+ * @returns {number} Interval in milliseconds
+ */
+function getInstanceInterval(instance) {
+    return instance.interval || config.interval;
+}
+
+/**
+ * Schedule the next check for an instance, measured from when the last one started
+ * @param {string} name - Instance name
+ */
+function scheduleNext(name) {
+    const schedule = schedules.get(name);
+    if (!schedule || !isRunning || !schedule.owned) return;
+
+    clearTimeout(schedule.timer);
+
+    const elapsed = Date.now() - (schedule.lastStartedAt || 0);
+    const delay = Math.max(0, getInstanceInterval(schedule.instance) - elapsed);
+    schedule.timer = setTimeout(() => runCheck(name), delay);
+}
+
+/**
+ * Run a check for an instance, unless one is already in progress
+ * Instances checked elsewhere resolve to their latest result instead.
+ * @param {string} name - Instance name
+ * @returns {Promise<Object|null>} Check result (the in-flight one if already running)
+ */
+function runCheck(name) {
+    const schedule = schedules.get(name);
+    if (!schedule) return Promise.resolve(null);
+    if (!schedule.owned) return Promise.resolve(latestResults.get(name) ?? null);
+
+    if (schedule.running) {
+        logger.debug(`[Scheduler] ${name} check still running, not starting another`);
+        return schedule.running;
+    }
+
+    clearTimeout(schedule.timer);
+
+    schedule.running = limit(async () => {
+        schedule.lastStartedAt = Date.now();
+        return mongoMonitor.checkInstance(schedule.instance);
+    })
+        .then(async (result) => {
+            // Ignore results for instances removed while the check was running
+            if (schedules.get(name) !== schedule) {
+                // The check may have opened a new persistent client after the instance was forgotten
+                if (isRunning && !schedules.has(name)) await mongoMonitor.forgetInstance(name);
+                return result;
+            }
+
+            // Another shard took the instance over while the check was running
+            if (!schedule.owned) {
+                await mongoMonitor.forgetInstance(name);
+                return result;
+            }
+
+            latestResults.set(name, result);
+
+            if (resultHandler) {
+                try {
+                    await resultHandler(result);
+                } catch (error) {
+                    logger.error(`[Scheduler] Result handler error for ${name}: ${error.message}`);
+                }
+            }
+
+            return result;
+        })
+        .catch((error) => {
+            logger.error(`[Scheduler] Unexpected error checking ${name}: ${error.message}`);
+            return null;
+        })
+        .finally(() => {
+            schedule.running = null;
+            scheduleNext(name);
+        });
+
+    return schedule.running;
+}
+
+/**
+ * Create the scheduling state of an instance
+ * @param {Object} instance - Instance configuration
+ * @returns {Object} Schedule
+ */
+function createSchedule(instance) {
+    return { instance, owned: isOwned(instance), timer: null, running: null, lastStartedAt: null };
+}
+
+/**
+ * Start scheduling checks for the given instances
+ * Resolves once the first check of every owned instance has completed.
+ * @param {Array<Object>} instances - Instance configurations
+ * @param {function(Object): Promise<void>} onResult - Called with every completed result
+ * @param {Object} [options]
+ * @param {function(Object): boolean} [options.isOwned] - Whether this process checks an instance (default: all)
+ * @returns {Promise<Array<Object>>} Results of the initial round
+ */
+async function start(instances, onResult, options = {}) {
+    stop();
+
+    isRunning = true;
+    limit = createLimiter(config.concurrency);
+    resultHandler = onResult;
+    isOwned = options.isOwned ?? (() => true);
+
+    for (const instance of instances) {
+        schedules.set(instance.name, createSchedule(instance));
+    }
+
+    const owned = [...schedules.values()].filter(s => s.owned).length;
+    logger.info(`[Scheduler] Scheduling ${owned} of ${instances.length} instance(s) (concurrency: ${config.concurrency})`);
+
+    await Promise.all(instances.map(instance => runCheck(instance.name)));
+    return getLatestResults();
+}
+
+/**
+ * Stop all scheduled checks (in-flight checks finish but are not rescheduled)
+ */
+function stop() {
+    isRunning = false;
+
+    for (const schedule of schedules.values()) {
+        clearTimeout(schedule.timer);
+    }
+
+    schedules.clear();
+}
+
+/**
+ * Instance fields that require a new client when changed
+ */
+const CONNECTION_FIELDS = ['uri', 'authSource', 'timeoutMS', 'persistent'];
+
+/**
+ * Update the schedule to match a new instance list without restarting
+ * Removed instances stop being checked, added ones are checked right away,
+ * and changed ones use their new settings from the next check on.
+ * @param {Array<Object>} instances - Instance configurations
+ * @returns {Promise<void>}
+ */
+async function sync(instances) {
+    if (!isRunning) return;
+    
+    const names = new Set(instances.map(i => i.name));
+    const previous = new Map(schedules);
+    const added = [];
+    
+    // Stop and forget removed instances
+    for (const [name, schedule] of previous) {
+        if (names.has(name)) continue;
+        
+        clearTimeout(schedule.timer);
+        latestResults.delete(name);
+        await mongoMonitor.forgetInstance(name);
+        logger.info(`[Scheduler] Stopped checking ${name}`);
+    }
+    
+    // Rebuild in the new configuration order
+    schedules.clear();
+    
+    for (const instance of instances) {
+        const schedule = previous.get(instance.name);
+        
+        if (!schedule) {
+            schedules.set(instance.name, createSchedule(instance));
+            added.push(instance.name);
+            continue;
+        }
+        
+        const old = schedule.instance;
+        schedule.instance = instance;
+        schedules.set(instance.name, schedule);
+        
+        if (CONNECTION_FIELDS.some(field => old[field] !== instance[field])) {
+            await mongoMonitor.closeInstanceClient(instance.name);
+        }
+        
+        // Picks up interval changes, including a changed global interval
+        if (!schedule.running) {
+            scheduleNext(instance.name);
+        }
+    }
+    
+    for (const name of added) {
+        if (!schedules.get(name).owned) continue;
+
+        logger.info(`[Scheduler] Started checking ${name}`);
+        runCheck(name);
+    }
+
+    // Changed dashboards or tags can move instances between shards
+    await rebalance();
+}
+
+/**
+ * Re-evaluate which instances this process checks, e.g. after a shard started or died
+ * Instances taken over are checked right away; instances handed off stop being checked here.
+ * @returns {Promise<void>}
+ */
+async function rebalance() {
+    if (!isRunning) return;
+
+    for (const [name, schedule] of schedules) {
+        const owned = isOwned(schedule.instance);
+        if (owned === schedule.owned) continue;
+
+        schedule.owned = owned;
+
+        if (owned) {
+            logger.info(`[Scheduler] Taking over checks of ${name}`);
+            runCheck(name);
+        } else {
+            clearTimeout(schedule.timer);
+            schedule.timer = null;
+            if (!schedule.running) await mongoMonitor.forgetInstance(name);
+            logger.info(`[Scheduler] Handing off checks of ${name}`);
+        }
+    }
+}
+
+/**
+ * Store a result checked by another shard
+ * Ignored for unknown instances and for instances checked here.
+ * @param {Object} result - Health check result
+ * @param {Object|null} [reconnect=null] - Reconnect info from the checking shard
+ */
+function addRemoteResult(result, reconnect = null) {
+    const schedule = schedules.get(result?.name);
+    if (!schedule || schedule.owned) return;
+
+    latestResults.set(result.name, result);
+    mongoMonitor.recordRecentSample(result.name, result);
+
+    if (reconnect) {
+        mongoMonitor.setReconnectInfo(result.name, reconnect);
+    }
+}
+
+/**
+ * Check whether this process checks an instance
+ * @param {string} name - Instance name
+ * @returns {boolean} Whether the instance is scheduled and owned here
+ */
+function isChecking(name) {
+    return schedules.get(name)?.owned ?? false;
+}
+
+/**
+ * Trigger an immediate check for an instance outside its interval
+ * @param {string} name - Instance name
+ * @returns {Promise<Object|null>} Check result
+ */
+function runNow(name) {
+    return runCheck(name);
+}
+
+/**
+ * Get the latest result for every scheduled instance, in configuration order
+ * @returns {Array<Object>} Latest results
+ */
+function getLatestResults() {
+    const results = [];
+
+    for (const name of schedules.keys()) {
+        if (latestResults.has(name)) {
+            results.push(latestResults.get(name));
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    start,
+    stop,
+    sync,
+    rebalance,
+    addRemoteResult,
+    isChecking,
+    runNow,
+    getLatestResults,
+    getInstanceInterval
+};
@@ -0,0 +1,284 @@
+/**
+ * MongoMonitorBot - Sharded Cluster Checks
+ * Functions for inspecting sharded clusters through a mongos router
+ */
+
+const { MongoClient } = require('mongodb');
+const logger = require('../utils/logger');
+const healthCheck = require('./healthCheck');
+
+/**
+ * Check whether a server status describes a mongos router
+ * @param {Object} version - Version info from extractVersionInfo
+ * @returns {boolean} Whether the process is mongos
+ */
+function isMongos(version) {
+    return /^mongos(\.exe)?$/i.test(version?.process ?? '');
+}
+
+/**
+ * List the shards in the cluster
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @returns {Promise<Object>} listShards result
+ */
+async function listShards(db) {
+    try {
+        const result = await db.admin().command({ listShards: 1 });
+        return {
+            success: true,
+            data: result.shards ?? []
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the balancer status
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @returns {Promise<Object>} balancerStatus result
+ */
+async function getBalancerStatus(db) {
+    try {
+        const result = await db.admin().command({ balancerStatus: 1 });
+        return {
+            success: true,
+            data: {
+                mode: result.mode ?? 'unknown',
+                enabled: result.mode === 'full',
+                inBalancerRound: result.inBalancerRound ?? false,
+                numBalancerRounds: result.numBalancerRounds ?? 0
+            }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get chunk distribution per sharded collection
+ * @param {import('mongodb').Db} configDb - The "config" database
+ * @param {number} maxCollections - Maximum number of collections to report
+ * @returns {Promise<Object>} Chunk distribution result
+ */
+async function getChunkDistribution(configDb, maxCollections) {
+    try {
+        const collections = await configDb.collection('collections')
+            .find({ dropped: { $ne: true } }, { projection: { _id: 1, uuid: 1 } })
+            .limit(maxCollections)
+            .toArray();
+
+        const distribution = [];
+
+        for (const coll of collections) {
+            // Chunks reference the collection by uuid since 5.0 and by ns before that
+            const match = coll.uuid ? { $or: [{ uuid: coll.uuid }, { ns: coll._id }] } : { ns: coll._id };
+            const perShard = await configDb.collection('chunks')
+                .aggregate([
+                    { $match: match },
+                    { $group: { _id: '$shard', count: { $sum: 1 } } }
+                ])
+                .toArray();
+
+            const shards = Object.fromEntries(perShard.map(s => [s._id, s.count]));
+            const counts = Object.values(shards);
+
+            distribution.push({
+                ns: coll._id,
+                totalChunks: counts.reduce((sum, c) => sum + c, 0),
+                shards,
+                // Difference between the most and least loaded shard
+                imbalance: counts.length > 0 ? Math.max(...counts) - Math.min(...counts) : 0
+            });
+        }
+
+        return {
+            success: true,
+            data: distribution
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Parse a shard host string ("rs0/host1:27017,host2:27017" or "host:27017")
+ * @param {string} host - Shard host string from listShards
+ * @returns {{replicaSet: string|null, hosts: string}} Parsed host string
+ */
+function parseShardHost(host) {
+    const slash = host.indexOf('/');
+
+    if (slash === -1) {
+        return { replicaSet: null, hosts: host };
+    }
+
+    return {
+        replicaSet: host.slice(0, slash),
+        hosts: host.slice(slash + 1)
+    };
+}
+
+/**
+ * Build a connection URI for a shard, reusing the credentials and options of the mongos URI
+ * @param {string} mongosUri - URI of the mongos instance
+ * @param {string} shardHost - Shard host string from listShards
+ * @returns {string} Shard connection URI
+ */
+function buildShardUri(mongosUri, shardHost) {
+    const match = /^mongodb(?:\+srv)?:\/\/(?:([^@/]*)@)?[^/?]*(?:\/[^?]*)?(?:\?(.*))?$/.exec(mongosUri);
+    const credentials = match?.[1] ? `${match[1]}@` : '';
+    const params = new URLSearchParams(match?.[2] ?? '');
+    const { replicaSet, hosts } = parseShardHost(shardHost);
+
+    // Hosts from listShards are plain host:port, so SRV-only options don't apply
+    params.delete('srvServiceName');
+    params.delete('srvMaxHosts');
+
+    // Shards reached through an SRV mongos URI still need TLS
+    if (mongosUri.startsWith('mongodb+srv://') && !params.has('tls') && !params.has('ssl')) {
+        params.set('tls', 'true');
+    }
+
+    if (replicaSet) {
+        params.set('replicaSet', replicaSet);
+    } else {
+        params.delete('replicaSet');
+    }
+
+    const query = params.toString();
+    return `mongodb://${credentials}${hosts}/${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Check the replica set health of a single shard
+ * @param {Object} shard - Shard document from listShards
+ * @param {string} mongosUri - URI of the mongos instance
+ * @param {Object} connectionOptions - MongoClient options
+ * @returns {Promise<Object>} Shard replica set health result
+ */
+async function checkShardHealth(shard, mongosUri, connectionOptions) {
+    const { replicaSet } = parseShardHost(shard.host);
+
+    if (!replicaSet) {
+        return { success: true, data: null };
+    }
+
+    const client = new MongoClient(buildShardUri(mongosUri, shard.host), connectionOptions);
+
+    try {
+        await client.connect();
+
+        const statusResult = await healthCheck.getReplSetStatus(client.db('admin'));
+        if (!statusResult.success) {
+            return { success: false, error: statusResult.error };
+        }
+
+        const configResult = await healthCheck.getReplSetConfig(client.db('admin'));
+
+        return {
+            success: true,
+            data: healthCheck.extractReplicaSetHealth(
+                statusResult.data,
+                configResult.success ? configResult.data : null,
+                null
+            )
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    } finally {
+        try {
+            await client.close();
+        } catch (closeError) {
+            logger.debug(`[Sharding] Error closing shard ${shard._id} connection: ${closeError.message}`);
+        }
+    }
+}
+
+/**
+ * Collect sharded cluster information through a mongos router
+ * @param {string} name - Instance name
+ * @param {import('mongodb').MongoClient} mongoClient - Client connected to mongos
+ * @param {Object} options - Collection options
+ * @param {string} options.uri - URI of the mongos instance
+ * @param {Object} options.connectionOptions - MongoClient options for shard connections
+ * @param {boolean} options.checkShardHealth - Whether to connect to each shard's replica set
+ * @param {number} options.maxCollections - Maximum number of sharded collections to report
+ * @returns {Promise<Object|null>} Cluster info or null if listShards failed
+ */
+async function collectClusterInfo(name, mongoClient, options) {
+    const adminDb = mongoClient.db('admin');
+
+    const shardsResult = await listShards(adminDb);
+    if (!shardsResult.success) {
+        logger.debug(`[Sharding] ${name}: listShards failed: ${shardsResult.error}`);
+        return null;
+    }
+
+    const balancerResult = await getBalancerStatus(adminDb);
+    if (!balancerResult.success) {
+        logger.debug(`[Sharding] ${name}: balancerStatus failed: ${balancerResult.error}`);
+    }
+
+    const chunksResult = await getChunkDistribution(mongoClient.db('config'), options.maxCollections);
+    if (!chunksResult.success) {
+        logger.debug(`[Sharding] ${name}: Could not read chunk distribution: ${chunksResult.error}`);
+    }
+
+    const shards = await Promise.all(shardsResult.data.map(async (shard) => {
+        const { replicaSet } = parseShardHost(shard.host);
+        const info = {
+            id: shard._id,
+            host: shard.host,
+            replicaSetName: replicaSet,
+            draining: shard.draining ?? false,
+            replicaSet: null,
+            healthy: null,
+            error: null
+        };
+
+        if (options.checkShardHealth) {
+            const health = await checkShardHealth(shard, options.uri, options.connectionOptions);
+
+            if (health.success) {
+                info.replicaSet = health.data;
+                info.healthy = health.data ? health.data.unhealthyMembers === 0 && health.data.primary !== null : true;
+            } else {
+                info.healthy = false;
+                info.error = health.error;
+                logger.debug(`[Sharding] ${name}: Shard ${shard._id} health check failed: ${health.error}`);
+            }
+        }
+
+        return info;
+    }));
+
+    return {
+        shards,
+        shardCount: shards.length,
+        unhealthyShards: shards.filter(s => s.healthy === false).length,
+        balancer: balancerResult.success ? balancerResult.data : null,
+        collections: chunksResult.success ? chunksResult.data : []
+    };
+}
+
+module.exports = {
+    isMongos,
+    listShards,
+    getBalancerStatus,
+    getChunkDistribution,
+    buildShardUri,
+    collectClusterInfo
+};
@@ -0,0 +1,104 @@
+/**
+ * MongoMonitorBot - State Tracker
+ * Detects ONLINE/OFFLINE transitions between monitoring cycles
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getCurrentTimestamp } = require('../utils/time');
+
+/**
+ * Last known state per instance
+ */
+const instanceStates = new Map();
+
+/**
+ * Get the mention role for an instance
+ * @param {string} name - Instance name
+ * @returns {string|null} Role ID or null
+ */
+function getMentionRoleId(name) {
+    const instance = config.mongodbInstances.find(i => i.name === name);
+    return instance?.mentionRoleId || config.notifications.mentionRoleId || null;
+}
+
+/**
+ * Compare the current results against the previous cycle
+ * Notifications are rate-limited per instance by the configured cooldown; a
+ * change suppressed during the cooldown is reported once it elapses, so the
+ * channel always ends up reflecting the real state. Downtime is tracked
+ * regardless of the cooldown, and outages that were never reported are added
+ * to the next notification that is sent.
+ * @param {Array<Object>} results - Results from checkAllInstances
+ * @returns {Array<Object>} Transition events ({ type: 'down'|'recovered', ... })
+ */
+function detectTransitions(results) {
+    if (!config.notifications.enabled) return [];
+
+    const events = [];
+    const now = Date.now();
+
+    for (const result of results) {
+        const state = instanceStates.get(result.name);
+
+        // First observation establishes the baseline without notifying
+        if (!state) {
+            instanceStates.set(result.name, {
+                online: result.online,
+                notifiedOnline: result.online,
+                lastNotifiedAt: 0,
+                downSince: result.online ? null : now,
+                firstDownSince: result.online ? null : now,
+                // Finished outages not covered by a notification yet
+                unreportedDowntime: 0,
+                unreportedOutages: 0
+            });
+            continue;
+        }
+
+        if (!result.online && state.online) {
+            state.downSince = now;
+            state.firstDownSince ??= now;
+        } else if (result.online && !state.online && state.downSince) {
+            state.unreportedDowntime += now - state.downSince;
+            state.unreportedOutages++;
+            state.downSince = null;
+        }
+        state.online = result.online;
+
+        if (state.online === state.notifiedOnline) continue;
+
+        if (now - state.lastNotifiedAt < config.notifications.cooldown) {
+            logger.debug(`[Notify] ${result.name} transition suppressed by cooldown`);
+            continue;
+        }
+
+        // Recovered: every outage since the last notification. Down: earlier outages that went unreported.
+        const downSince = result.online ? state.firstDownSince : state.downSince;
+        const event = {
+            type: result.online ? 'recovered' : 'down',
+            instance: result.name,
+            error: result.error ?? null,
+            mentionRoleId: getMentionRoleId(result.name),
+            downSince: downSince ? new Date(downSince).toISOString() : null,
+            downtime: state.unreportedOutages > 0 ? state.unreportedDowntime / 1000 : null,
+            outages: state.unreportedOutages,
+            timestamp: getCurrentTimestamp()
+        };
+
+        state.unreportedDowntime = 0;
+        state.unreportedOutages = 0;
+        state.firstDownSince = state.downSince;
+        state.notifiedOnline = result.online;
+        state.lastNotifiedAt = now;
+
+        events.push(event);
+        logger.info(`[Notify] ${result.name} ${event.type === 'down' ? 'went down' : 'recovered'}`);
+    }
+
+    return events;
+}
+
+module.exports = {
+    detectTransitions
+};
@@ -0,0 +1,169 @@
+/**
+ * MongoMonitorBot - Storage Checks
+ * Functions for collecting database and collection storage statistics
+ */
+
+const logger = require('../utils/logger');
+const { getCurrentTimestamp } = require('../utils/time');
+
+/**
+ * List databases on the server
+ * @param {import('mongodb').Db} db - MongoDB admin database instance
+ * @returns {Promise<Object>} listDatabases result
+ */
+async function listDatabases(db) {
+    try {
+        const result = await db.admin().command({ listDatabases: 1 });
+        return {
+            success: true,
+            data: result.databases ?? []
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get statistics for a database
+ * @param {import('mongodb').Db} db - Database to inspect
+ * @returns {Promise<Object>} dbStats result
+ */
+async function getDbStats(db) {
+    try {
+        const stats = await db.command({ dbStats: 1 });
+        return {
+            success: true,
+            data: {
+                name: stats.db ?? db.databaseName,
+                collections: stats.collections ?? 0,
+                documents: stats.objects ?? 0,
+                dataSize: stats.dataSize ?? 0,
+                storageSize: stats.storageSize ?? 0,
+                indexes: stats.indexes ?? 0,
+                indexSize: stats.indexSize ?? 0
+            }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get storage statistics for every collection in a database using $collStats
+ * @param {import('mongodb').Db} db - Database to inspect
+ * @returns {Promise<Object>} Collection stats result
+ */
+async function getCollectionStats(db) {
+    try {
+        const collections = await db.listCollections({ type: 'collection' }, { nameOnly: true }).toArray();
+        const stats = [];
+
+        for (const { name } of collections) {
+            if (name.startsWith('system.')) continue;
+
+            try {
+                const [result] = await db.collection(name)
+                    .aggregate([{ $collStats: { storageStats: {} } }])
+                    .toArray();
+                const storage = result?.storageStats ?? {};
+
+                stats.push({
+                    ns: `${db.databaseName}.${name}`,
+                    documents: storage.count ?? 0,
+                    dataSize: storage.size ?? 0,
+                    storageSize: storage.storageSize ?? 0,
+                    indexSize: storage.totalIndexSize ?? 0,
+                    indexes: storage.nindexes ?? 0
+                });
+            } catch (error) {
+                logger.debug(`[Storage] $collStats failed for ${db.databaseName}.${name}: ${error.message}`);
+            }
+        }
+
+        return {
+            success: true,
+            data: stats
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Collect storage statistics for an instance
+ * @param {string} name - Instance name
+ * @param {import('mongodb').MongoClient} mongoClient - Connected client
+ * @param {Object} options - Collection options
+ * @param {Array<string>} options.excludeDatabases - Database names to skip
+ * @param {number} options.maxDatabases - Maximum number of databases to inspect
+ * @param {number} options.topCollections - Number of largest collections to report
+ * @returns {Promise<Object|null>} Storage statistics or null if listDatabases failed
+ */
+async function collectStorageStats(name, mongoClient, options) {
+    const databasesResult = await listDatabases(mongoClient.db('admin'));
+
+    if (!databasesResult.success) {
+        logger.debug(`[Storage] ${name}: listDatabases failed: ${databasesResult.error}`);
+        return null;
+    }
+
+    const names = databasesResult.data
+        .map(d => d.name)
+        .filter(dbName => !options.excludeDatabases.includes(dbName))
+        .slice(0, options.maxDatabases);
+
+    const databases = [];
+    const collections = [];
+
+    for (const dbName of names) {
+        const db = mongoClient.db(dbName);
+
+        const statsResult = await getDbStats(db);
+        if (!statsResult.success) {
+            logger.debug(`[Storage] ${name}: dbStats failed for ${dbName}: ${statsResult.error}`);
+            continue;
+        }
+        databases.push(statsResult.data);
+
+        const collResult = await getCollectionStats(db);
+        if (collResult.success) {
+            collections.push(...collResult.data);
+        } else {
+            logger.debug(`[Storage] ${name}: Could not list collections of ${dbName}: ${collResult.error}`);
+        }
+    }
+
+    const sum = (key) => databases.reduce((total, d) => total + d[key], 0);
+
+    return {
+        databases: databases.sort((a, b) => b.storageSize - a.storageSize),
+        largestCollections: collections
+            .sort((a, b) => b.storageSize - a.storageSize)
+            .slice(0, options.topCollections),
+        totals: {
+            databases: databases.length,
+            collections: sum('collections'),
+            documents: sum('documents'),
+            dataSize: sum('dataSize'),
+            storageSize: sum('storageSize'),
+            indexSize: sum('indexSize')
+        },
+        collectedAt: getCurrentTimestamp()
+    };
+}
+
+module.exports = {
+    listDatabases,
+    getDbStats,
+    getCollectionStats,
+    collectStorageStats
+};
@@ -0,0 +1,61 @@
+/**
+ * MongoMonitorBot - Discord Notifier
+ * Posts notifications as embeds to the alert channel or a channel of its own
+ */
+
+const discordService = require('../services/discordService');
+const embedBuilder = require('../services/embedBuilder');
+
+/**
+ * Build the Discord message for a notification
+ * @param {Object} notification - Notification from notifiers/index.js
+ * @returns {Object} Message options
+ */
+function buildMessage(notification) {
+    const { event } = notification;
+
+    if (notification.kind === 'alert') {
+        return { embeds: [embedBuilder.buildAlertEmbed(event)] };
+    }
+
+    const message = { embeds: [embedBuilder.buildTransitionEmbed(event)] };
+
+    if (event.mentionRoleId) {
+        message.content = `<@&${event.mentionRoleId}>`;
+        message.allowedMentions = { roles: [event.mentionRoleId] };
+    }
+
+    return message;
+}
+
+/**
+ * Create a Discord notifier
+ * @param {Object} target - Target from config.notifiers.targets ({ channelId? })
+ * @param {Object} context - Runtime context
+ * @param {import('discord.js').Client} context.client - Discord client
+ * @param {function(): import('discord.js').TextChannel|null} context.getDefaultChannel - Alert channel (or the monitoring channel)
+ * @returns {{send: function(Object): Promise<void>}} Notifier
+ */
+function create(target, context) {
+    return {
+        async send(notification) {
+            const channel = target.channelId
+                ? await discordService.getChannelById(context.client, target.channelId)
+                : context.getDefaultChannel();
+
+            if (!channel) {
+                throw new Error(`Discord channel ${target.channelId ?? '(alert channel)'} is not available`);
+            }
+
+            // sendMessage logs and swallows errors, so a null result means the send failed
+            const sent = await discordService.sendMessage(channel, buildMessage(notification));
+            if (!sent) {
+                throw new Error(`Could not send to #${channel.name}`);
+            }
+        }
+    };
+}
+
+module.exports = {
+    create
+};
@@ -0,0 +1,62 @@
+/**
+ * MongoMonitorBot - Email Notifier
+ * Sends notifications as plain text email over SMTP
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Build the email body for a notification
+ * @param {Object} notification - Notification from notifiers/index.js
+ * @returns {string} Plain text body
+ */
+function buildText(notification) {
+    return [
+        notification.message,
+        '',
+        ...notification.details.map(({ name, value }) => `${name}: ${value}`),
+        '',
+        `Time: ${notification.timestamp}`,
+        '-- ',
+        'MongoDB Monitor'
+    ].join('\n');
+}
+
+/**
+ * Create an email notifier
+ * @param {Object} target - Target from config.notifiers.targets ({ host, port, secure, user, password, from, to })
+ * @returns {{send: function(Object): Promise<void>}} Notifier
+ */
+function create(target) {
+    if (!target.host) {
+        throw new Error('missing host');
+    }
+    if (!Array.isArray(target.to) || target.to.length === 0) {
+        throw new Error('missing recipients (to)');
+    }
+
+    const transport = nodemailer.createTransport({
+        host: target.host,
+        port: target.port,
+        secure: target.secure,
+        auth: target.user ? { user: target.user, pass: target.password } : undefined,
+        connectionTimeout: 10_000,
+        greetingTimeout: 10_000,
+        socketTimeout: 20_000
+    });
+
+    return {
+        async send(notification) {
+            await transport.sendMail({
+                from: target.from,
+                to: target.to.join(', '),
+                subject: `[MongoDB Monitor] ${notification.title}`,
+                text: buildText(notification)
+            });
+        }
+    };
+}
+
+module.exports = {
+    create
+};
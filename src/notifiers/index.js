@@ -0,0 +1,247 @@
+/**
+ * MongoMonitorBot - Notifiers
+ * Routes down/recovered notifications and alerts to the configured notifiers,
+ * with retries and a dead-letter log for deliveries that keep failing
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { formatUptime } = require('../utils/time');
+const { SEVERITY_COLORS } = require('../services/embedBuilder');
+
+/**
+ * Notifier implementations by target type
+ */
+const TYPES = {
+    discord: require('./discordNotifier'),
+    webhook: require('./webhookNotifier'),
+    slack: require('./slackNotifier'),
+    email: require('./emailNotifier')
+};
+
+/**
+ * Severity of down/recovered notifications, for routing
+ */
+const TRANSITION_SEVERITY = 'critical';
+
+/**
+ * Created notifiers by target name
+ * Each entry: { target, notifier }
+ */
+const notifiers = new Map();
+
+/**
+ * Pending delivery chain per notifier, so notifications arrive in order
+ */
+const queues = new Map();
+
+/**
+ * Create the notifiers for the configured targets
+ * Invalid targets are logged and skipped.
+ * @param {Object} context - Runtime context passed to notifiers (see discordNotifier.create)
+ */
+function init(context) {
+    notifiers.clear();
+
+    for (const target of config.notifiers.targets) {
+        const label = target.name ?? target.type ?? 'unnamed';
+
+        try {
+            if (!target.name) throw new Error('missing name');
+            if (notifiers.has(target.name)) throw new Error('duplicate name');
+            if (!TYPES[target.type]) throw new Error(`unsupported type "${target.type}"`);
+
+            notifiers.set(target.name, { target, notifier: TYPES[target.type].create(target, context) });
+        } catch (error) {
+            logger.error(`[Notify] Skipping notifier "${label}": ${error.message}`);
+        }
+    }
+
+    logger.info(`[Notify] Notifiers: ${[...notifiers.keys()].join(', ') || 'none'}`);
+}
+
+/**
+ * Get the notifiers a notification should go to
+ * @param {Object} notification - Notification
+ * @returns {Array<Object>} Matching { target, notifier } entries
+ */
+function getRecipients(notification) {
+    const instance = config.mongodbInstances.find(i => i.name === notification.instance);
+
+    return [...notifiers.values()].filter(({ target }) =>
+        (!target.severities || target.severities.includes(notification.severity))
+        && (!target.instances || target.instances.includes(notification.instance))
+        && (!instance?.notifiers || instance.notifiers.includes(target.name)));
+}
+
+/**
+ * Wait for a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Append a notification that could not be delivered to the dead-letter log
+ * @param {string} name - Notifier name
+ * @param {Object} notification - Notification
+ * @param {Error} error - Last delivery error
+ */
+async function writeDeadLetter(name, notification, error) {
+    const { event, ...fields } = notification;
+    const entry = {
+        failedAt: new Date().toISOString(),
+        notifier: name,
+        attempts: config.notifiers.attempts,
+        error: error.message,
+        notification: fields
+    };
+
+    try {
+        await fs.promises.mkdir(path.dirname(config.notifiers.deadLetterPath), { recursive: true });
+        await fs.promises.appendFile(config.notifiers.deadLetterPath, `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+        logger.error(`[Notify] Could not write dead letter to ${config.notifiers.deadLetterPath}: ${writeError.message}`);
+    }
+}
+
+/**
+ * Deliver a notification to one notifier, retrying with exponential backoff
+ * @param {string} name - Notifier name
+ * @param {Object} notifier - Notifier
+ * @param {Object} notification - Notification
+ * @returns {Promise<boolean>} Whether the notification was delivered
+ */
+async function deliver(name, notifier, notification) {
+    const { attempts, retryDelay } = config.notifiers;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            await notifier.send(notification);
+            logger.debug(`[Notify] Sent "${notification.title}" via ${name}`);
+            return true;
+        } catch (error) {
+            lastError = error;
+            logger.warn(`[Notify] ${name} delivery of "${notification.title}" failed (attempt ${attempt}/${attempts}): ${error.message}`);
+
+            if (attempt < attempts) {
+                await sleep(retryDelay * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    logger.error(`[Notify] Giving up on ${name} delivery of "${notification.title}", written to the dead-letter log`);
+    await writeDeadLetter(name, notification, lastError);
+    return false;
+}
+
+/**
+ * Queue a notification on every matching notifier
+ * Failing notifiers don't hold up the others.
+ * @param {Object} notification - Notification
+ * @returns {Promise<void>} Resolves once every notifier delivered or gave up
+ */
+function dispatch(notification) {
+    const deliveries = getRecipients(notification).map(({ target, notifier }) => {
+        const previous = queues.get(target.name) ?? Promise.resolve();
+        const next = previous.then(() => deliver(target.name, notifier, notification));
+
+        queues.set(target.name, next);
+        next.finally(() => {
+            if (queues.get(target.name) === next) queues.delete(target.name);
+        });
+
+        return next;
+    });
+
+    return Promise.all(deliveries).then(() => undefined);
+}
+
+/**
+ * Send a down/recovered notification
+ * @param {Object} event - Transition event from stateTracker.detectTransitions
+ * @returns {Promise<void>} Resolves once every notifier delivered or gave up
+ */
+function notifyTransition(event) {
+    const down = event.type === 'down';
+    const details = [];
+
+    if (down) {
+        details.push({ name: 'Error', value: event.error || 'Unknown error' });
+
+        if (event.downtime !== null) {
+            details.push({ name: 'Unreported Downtime', value: `${formatUptime(event.downtime)} over ${event.outages} earlier outage(s)` });
+        }
+    } else if (event.downtime !== null) {
+        details.push({ name: 'Downtime', value: formatUptime(event.downtime) + (event.outages > 1 ? ` over ${event.outages} outages` : '') });
+    }
+
+    if (event.downSince) {
+        details.push({ name: 'Down Since', value: event.downSince });
+    }
+
+    return dispatch({
+        id: crypto.randomUUID(),
+        kind: 'transition',
+        type: event.type,
+        severity: TRANSITION_SEVERITY,
+        resolved: !down,
+        instance: event.instance,
+        title: down ? `${event.instance} went down` : `${event.instance} recovered`,
+        message: down ? `${event.instance} is now OFFLINE.` : `${event.instance} is back ONLINE.`,
+        details,
+        colorKey: down ? 'offline' : 'online',
+        timestamp: event.timestamp,
+        event
+    });
+}
+
+/**
+ * Send an alert triggered/resolved notification
+ * @param {Object} event - Alert event from alertEngine.evaluate
+ * @returns {Promise<void>} Resolves once every notifier delivered or gave up
+ */
+function notifyAlert(event) {
+    const { rule } = event;
+    const resolved = event.type === 'resolved';
+    const condition = `${rule.metric} ${rule.operator} ${rule.threshold}`;
+    const details = [
+        { name: 'Instance', value: event.instance },
+        { name: 'Severity', value: rule.severity },
+        { name: 'Current Value', value: String(event.value) }
+    ];
+
+    if (resolved && event.triggeredAt) {
+        details.push({ name: 'Active For', value: formatUptime((Date.parse(event.resolvedAt) - Date.parse(event.triggeredAt)) / 1000) });
+    }
+
+    return dispatch({
+        id: crypto.randomUUID(),
+        kind: 'alert',
+        type: event.type,
+        severity: rule.severity,
+        resolved,
+        instance: event.instance,
+        title: resolved ? `Resolved: ${rule.name}` : `[${rule.severity.toUpperCase()}] ${rule.name}`,
+        message: resolved
+            ? `${event.instance} no longer matches ${condition}`
+            : `${event.instance} matched ${condition} for ${rule.for} cycle(s)`,
+        details,
+        colorKey: resolved ? 'online' : (SEVERITY_COLORS[rule.severity] ?? 'info'),
+        timestamp: event.resolvedAt ?? event.triggeredAt ?? new Date().toISOString(),
+        event
+    });
+}
+
+module.exports = {
+    TYPES,
+    init,
+    notifyTransition,
+    notifyAlert
+};
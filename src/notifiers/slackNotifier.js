@@ -0,0 +1,51 @@
+/**
+ * MongoMonitorBot - Slack Notifier
+ * Posts notifications in the Slack incoming webhook format (also accepted by Mattermost and Rocket.Chat)
+ */
+
+const config = require('../config');
+const { postJson } = require('./webhookNotifier');
+
+/**
+ * Build the Slack payload for a notification
+ * @param {Object} notification - Notification from notifiers/index.js
+ * @returns {Object} Payload
+ */
+function buildPayload(notification) {
+    const color = config.colors[notification.colorKey] ?? config.colors.info;
+
+    return {
+        text: notification.title,
+        attachments: [
+            {
+                color: `#${color.toString(16).padStart(6, '0')}`,
+                fallback: `${notification.title}: ${notification.message}`,
+                text: notification.message,
+                fields: notification.details.map(({ name, value }) => ({ title: name, value: String(value), short: true })),
+                footer: 'MongoDB Monitor',
+                ts: Math.floor(Date.parse(notification.timestamp) / 1000)
+            }
+        ]
+    };
+}
+
+/**
+ * Create a Slack notifier
+ * @param {Object} target - Target from config.notifiers.targets ({ url })
+ * @returns {{send: function(Object): Promise<void>}} Notifier
+ */
+function create(target) {
+    if (!target.url) {
+        throw new Error('missing url');
+    }
+
+    return {
+        async send(notification) {
+            await postJson(target.url, JSON.stringify(buildPayload(notification)));
+        }
+    };
+}
+
+module.exports = {
+    create
+};
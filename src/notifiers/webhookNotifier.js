@@ -0,0 +1,82 @@
+/**
+ * MongoMonitorBot - Webhook Notifier
+ * POSTs notifications as JSON to any HTTP endpoint
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Time limit for a single delivery
+ */
+const REQUEST_TIMEOUT_MS = 10_000;
+
+/**
+ * POST a JSON body, failing on network errors and non-2xx responses
+ * @param {string} url - Endpoint
+ * @param {string} body - JSON body
+ * @param {Object} [headers={}] - Extra headers
+ * @returns {Promise<void>}
+ */
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'MongoMonitorBot', ...headers },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+}
+
+/**
+ * Build the JSON payload for a notification
+ * @param {Object} notification - Notification from notifiers/index.js
+ * @returns {Object} Payload
+ */
+function buildPayload(notification) {
+    return {
+        id: notification.id,
+        kind: notification.kind,
+        type: notification.type,
+        severity: notification.severity,
+        resolved: notification.resolved,
+        instance: notification.instance,
+        title: notification.title,
+        message: notification.message,
+        details: Object.fromEntries(notification.details.map(({ name, value }) => [name, value])),
+        timestamp: notification.timestamp
+    };
+}
+
+/**
+ * Create a webhook notifier
+ * @param {Object} target - Target from config.notifiers.targets ({ url, secret?, headers? })
+ * @returns {{send: function(Object): Promise<void>}} Notifier
+ */
+function create(target) {
+    if (!target.url) {
+        throw new Error('missing url');
+    }
+
+    return {
+        async send(notification) {
+            const body = JSON.stringify(buildPayload(notification));
+            const headers = { ...target.headers };
+
+            // Lets the receiver verify the payload came from this bot
+            if (target.secret) {
+                headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', target.secret).update(body).digest('hex')}`;
+            }
+
+            await postJson(target.url, body, headers);
+        }
+    };
+}
+
+module.exports = {
+    postJson,
+    create
+};
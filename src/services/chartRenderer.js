@@ -0,0 +1,152 @@
+/**
+ * MongoMonitorBot - Chart Renderer
+ * Draws PNG line charts of an instance's recent samples, without native canvas or network access
+ */
+
+const { createRaster, GLYPH_HEIGHT } = require('../utils/raster');
+const { formatBytes, formatUptime } = require('../utils/time');
+
+/**
+ * Charted sample fields (see mongoMonitor.getRecentSamples)
+ */
+const METRICS = {
+    ping: { label: 'Ping', color: 0x5865F2, format: (v) => `${Math.round(v)}ms` },
+    connections: { label: 'Connections', color: 0x57F287, format: (v) => formatCount(v) },
+    memory: { label: 'Memory', color: 0xFEE75C, format: (v) => formatBytes(v, 1) },
+    opsPerSec: { label: 'Ops/s', color: 0xEB459E, format: (v) => formatCount(v) }
+};
+
+/**
+ * Colors matching Discord's dark theme, so the image blends into embeds
+ */
+const THEME = {
+    background: 0x2B2D31,
+    panel: 0x313338,
+    grid: 0x3F4147,
+    text: 0xDBDEE1,
+    muted: 0x949BA4,
+    offline: 0xED4245
+};
+
+/**
+ * Panel size in pixels; charts of several metrics are laid out two per row
+ */
+const PANEL = { width: 400, height: 220, padLeft: 56, padRight: 14, padTop: 34, padBottom: 26, gap: 8 };
+
+/**
+ * Format a count with K/M suffixes so it fits the axis
+ * @param {number} value - Count
+ * @returns {string} Formatted count
+ */
+function formatCount(value) {
+    if (value >= 1e6) return `${Math.round(value / 1e5) / 10}M`;
+    if (value >= 1e4) return `${Math.round(value / 1e3)}K`;
+    if (value >= 100) return String(Math.round(value));
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Draw one metric's chart into a panel
+ * Gaps are left where the instance was offline, which is marked along the bottom.
+ * @param {Object} raster - Raster from createRaster
+ * @param {number} left - Panel x offset
+ * @param {number} top - Panel y offset
+ * @param {Array<Object>} samples - Recent samples, oldest first
+ * @param {Object} metric - Entry of METRICS, with its key
+ */
+function drawPanel(raster, left, top, samples, metric) {
+    const { width, height, padLeft, padRight, padTop, padBottom } = PANEL;
+    const points = samples.filter(s => s.online && typeof s[metric.key] === 'number');
+    const latest = points[points.length - 1];
+
+    raster.fillRect(left, top, width, height, THEME.panel);
+    raster.fillRect(left + 12, top + 12, 4, GLYPH_HEIGHT * 2, metric.color);
+    raster.drawText(latest ? `${metric.label} ${metric.format(latest[metric.key])}` : metric.label, left + 22, top + 12, THEME.text, { scale: 2 });
+
+    if (points.length < 2) {
+        raster.drawText('Not enough samples yet', left + width / 2, top + height / 2, THEME.muted, { align: 'center' });
+        return;
+    }
+
+    const max = Math.max(...points.map(p => p[metric.key])) * 1.1 || 1;
+    const start = samples[0].t;
+    const span = samples[samples.length - 1].t - start || 1;
+    const plotLeft = left + padLeft;
+    const plotRight = left + width - padRight;
+    const plotTop = top + padTop;
+    const plotBottom = top + height - padBottom;
+
+    const x = (t) => plotLeft + ((t - start) / span) * (plotRight - plotLeft);
+    const y = (v) => plotBottom - (v / max) * (plotBottom - plotTop);
+
+    // Horizontal grid lines with their values
+    for (const fraction of [0, 0.5, 1]) {
+        const lineY = Math.round(y(max * fraction));
+        raster.drawLine(plotLeft, lineY, plotRight, lineY, THEME.grid);
+        raster.drawText(metric.format(max * fraction), plotLeft - 6, lineY - 3, THEME.muted, { align: 'right' });
+    }
+
+    // Offline checks along the bottom
+    for (const sample of samples) {
+        if (!sample.online) {
+            raster.fillRect(x(sample.t) - 1, plotBottom + 3, 3, 4, THEME.offline);
+        }
+    }
+
+    // Line segments between consecutive values
+    let previous = null;
+    for (const sample of samples) {
+        if (!sample.online || typeof sample[metric.key] !== 'number') {
+            previous = null;
+            continue;
+        }
+
+        const point = [x(sample.t), y(sample[metric.key])];
+        if (previous) {
+            raster.drawLine(previous[0], previous[1], point[0], point[1], metric.color, 2);
+        }
+        previous = point;
+    }
+
+    raster.drawText(`last ${formatUptime(span / 1000)}`, plotRight, plotBottom + 10, THEME.muted, { align: 'right' });
+}
+
+/**
+ * Render line charts of an instance's recent samples as a PNG
+ * @param {Array<Object>} samples - Recent samples, oldest first
+ * @param {Array<string>} [metrics] - Keys of METRICS to chart (default: all)
+ * @returns {Buffer} PNG image
+ */
+function renderChart(samples, metrics = Object.keys(METRICS)) {
+    const { width, height, gap } = PANEL;
+    const columns = metrics.length > 1 ? 2 : 1;
+    const rows = Math.ceil(metrics.length / columns);
+    const raster = createRaster(
+        columns * width + (columns + 1) * gap,
+        rows * height + (rows + 1) * gap,
+        THEME.background
+    );
+
+    metrics.forEach((key, index) => {
+        const left = gap + (index % columns) * (width + gap);
+        const top = gap + Math.floor(index / columns) * (height + gap);
+        drawPanel(raster, left, top, samples, { key, ...METRICS[key] });
+    });
+
+    return raster.toPng();
+}
+
+/**
+ * Check whether samples have enough online values to chart
+ * @param {Array<Object>} samples - Recent samples
+ * @returns {boolean} Whether at least two checks were online
+ */
+function hasEnoughSamples(samples) {
+    return samples.filter(s => s.online).length >= 2;
+}
+
+module.exports = {
+    METRICS,
+    renderChart,
+    hasEnoughSamples
+};
@@ -0,0 +1,112 @@
+/**
+ * MongoMonitorBot - Dashboard Targets
+ * Which guild, channel and instances each status dashboard covers
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Title of dashboards without their own
+ */
+const DEFAULT_TITLE = 'MongoDB Monitor Dashboard';
+
+/**
+ * Invalid dashboards already logged, so each is only reported once
+ */
+const reported = new Set();
+
+/**
+ * Get the configured dashboards
+ * Invalid entries and duplicate names are logged and skipped.
+ * @returns {Array<Object>} Dashboards ({ name, guildId, channelId, title, instances, tags })
+ */
+function getTargets() {
+    const targets = [];
+
+    for (const target of config.discord.dashboards) {
+        const label = target?.name ?? 'unnamed';
+        let error = null;
+
+        if (!target?.name) error = 'missing name';
+        else if (!target.guildId) error = 'missing guildId';
+        else if (!target.channelId) error = 'missing channelId';
+        else if (targets.some(t => t.name === target.name)) error = 'duplicate name';
+
+        if (error) {
+            const message = `Skipping dashboard "${label}": ${error}`;
+            if (!reported.has(message)) {
+                reported.add(message);
+                logger.warn(`[Dashboard] ${message}`);
+            }
+            continue;
+        }
+
+        targets.push({
+            title: DEFAULT_TITLE,
+            instances: null,
+            tags: null,
+            ...target
+        });
+    }
+
+    return targets;
+}
+
+/**
+ * Get the guilds that have at least one dashboard, for slash command registration
+ * @returns {Array<string>} Unique guild IDs
+ */
+function getGuildIds() {
+    return [...new Set(getTargets().map(t => t.guildId))];
+}
+
+/**
+ * Check whether a dashboard shows an instance
+ * A dashboard without instance and tag filters shows every instance.
+ * @param {Object} target - Dashboard from getTargets
+ * @param {Object} instance - Instance configuration
+ * @returns {boolean} Whether the instance is shown
+ */
+function matchesInstance(target, instance) {
+    if (!target.instances && !target.tags) return true;
+
+    return (target.instances?.includes(instance.name) ?? false)
+        || (target.tags?.some(tag => instance.tags?.includes(tag)) ?? false);
+}
+
+/**
+ * Get the results a dashboard shows
+ * @param {Object} target - Dashboard from getTargets
+ * @param {Array<Object>} results - Health check results
+ * @returns {Array<Object>} Results of matching instances
+ */
+function filterResults(target, results) {
+    return results.filter(result => {
+        const instance = config.mongodbInstances.find(i => i.name === result.name) ?? { name: result.name };
+        return matchesInstance(target, instance);
+    });
+}
+
+/**
+ * Get the instances shown by the dashboards of a guild, e.g. for /mongo status
+ * Guilds without a dashboard see every instance.
+ * @param {string|null} guildId - Guild ID
+ * @param {Array<Object>} instances - Instance configurations
+ * @returns {Array<Object>} Instances shown in the guild
+ */
+function getGuildInstances(guildId, instances) {
+    const targets = getTargets().filter(t => t.guildId === guildId);
+    if (targets.length === 0) return instances;
+
+    return instances.filter(instance => targets.some(target => matchesInstance(target, instance)));
+}
+
+module.exports = {
+    DEFAULT_TITLE,
+    getTargets,
+    getGuildIds,
+    matchesInstance,
+    filterResults,
+    getGuildInstances
+};
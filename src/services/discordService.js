@@ -258,6 +258,25 @@ async function getLastBotMessage(channel, botId) {
     }
 }
 
+/**
+ * Check whether an interaction member holds any of the given roles
+ * @param {import('discord.js').GuildMember|Object|null} member - Guild member (or raw API member)
+ * @param {Array<string>} roleIds - Role IDs to look for
+ * @returns {boolean} Whether the member has at least one of the roles
+ */
+function memberHasAnyRole(member, roleIds) {
+    if (!member || roleIds.length === 0) {
+        return false;
+    }
+    
+    // Raw API members expose roles as an array of IDs
+    const memberRoleIds = Array.isArray(member.roles)
+        ? member.roles
+        : [...(member.roles?.cache?.keys() ?? [])];
+    
+    return memberRoleIds.some(id => roleIds.includes(id));
+}
+
 module.exports = {
     getGuild,
     getChannelById,
@@ -268,5 +287,6 @@ module.exports = {
     editMessage,
     deleteMessage,
     checkPermissions,
-    getLastBotMessage
+    getLastBotMessage,
+    memberHasAnyRole
 };
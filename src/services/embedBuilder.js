@@ -3,10 +3,11 @@
  * Creates rich Discord embeds for monitoring display
  */
 
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, embedLength } = require('discord.js');
 const config = require('../config');
 const { formatUptime, formatBytes, getDiscordTimestamp, formatPing } = require('../utils/time');
 const mongoMonitor = require('../monitors/mongoMonitor');
+const { computeTrend } = require('../utils/stats');
 
 /**
  * Emoji constants for status display
@@ -27,9 +28,157 @@ const EMOJI = {
     ERROR: '`❌`',
     WARNING: '`⚠️`',
     INFO: '`ℹ️`',
-    REPLICATION: '`🔄`'
+    REPLICATION: '`🔄`',
+    HISTORY: '`📈`',
+    ALERT: '`🚨`',
+    RESOLVED: '`✅`',
+    CLUSTER: '`🧩`',
+    SLOW: '`🐢`',
+    CACHE: '`🧠`',
+    TICKETS: '`🎟️`',
+    LOCKS: '`🔒`',
+    RELOAD: '`🔃`'
 };
 
+/**
+ * Arrows for trend directions
+ */
+const TREND_ARROWS = {
+    rising: '↑',
+    falling: '↓',
+    steady: '→'
+};
+
+/**
+ * Discord's limits on embeds
+ */
+const EMBED_LIMITS = {
+    total: 6000,
+    fields: 25
+};
+
+/**
+ * Characters kept free for a footer set after the fields are added
+ */
+const FOOTER_RESERVE = 100;
+
+/**
+ * Dashboard detail levels, most detailed first
+ * The status embed uses the first level whose fields fit in Discord's limits.
+ */
+const STATUS_DETAIL_LEVELS = [
+    { trends: true, secondary: true },
+    { trends: false, secondary: true },
+    { trends: false, secondary: false }
+];
+
+/**
+ * Sparkline characters, lowest to highest
+ */
+const SPARKLINE_LEVELS = ['▁', '▂', '▃', '▅', '▇'];
+
+/**
+ * Slope per sample, as a fraction of the window's mean, below which a trend counts as steady
+ */
+const TREND_TOLERANCE = 0.01;
+
+/**
+ * Color key (in config.colors) per alert severity
+ * Looked up on use, so reloaded colors apply
+ */
+const SEVERITY_COLORS = {
+    info: 'info',
+    warning: 'partial',
+    critical: 'offline'
+};
+
+/**
+ * Add fields to an embed as long as they fit in Discord's total embed length
+ * @param {EmbedBuilder} embed - Embed to add to
+ * @param {Array<Object>} fields - Fields ({ name, value, inline })
+ * @param {number} [reserve=FOOTER_RESERVE] - Characters to keep free
+ * @returns {number} Number of fields added, in order
+ */
+function addFieldsWithinLimit(embed, fields, reserve = FOOTER_RESERVE) {
+    let added = 0;
+    
+    for (const field of fields) {
+        const length = embedLength(embed.data) + field.name.length + field.value.length;
+        if (length + reserve > EMBED_LIMITS.total || (embed.data.fields?.length ?? 0) >= EMBED_LIMITS.fields) break;
+        
+        embed.addFields(field);
+        added++;
+    }
+    
+    return added;
+}
+
+/**
+ * Format a per-second rate for display
+ * @param {number} value - Rate per second
+ * @returns {string} Formatted rate
+ */
+function formatRate(value) {
+    if (typeof value !== 'number' || isNaN(value)) {
+        return '0';
+    }
+    
+    return value >= 100
+        ? Math.round(value).toLocaleString()
+        : (Math.round(value * 10) / 10).toLocaleString();
+}
+
+/**
+ * Format a percentage for display
+ * @param {number|null} value - Percentage
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(value) {
+    if (typeof value !== 'number' || isNaN(value)) {
+        return 'N/A';
+    }
+    
+    return `${(Math.round(value * 10) / 10).toLocaleString()}%`;
+}
+
+/**
+ * Draw values as a unicode sparkline, scaled between their min and max
+ * @param {Array<number>} values - Values ordered oldest to newest
+ * @returns {string} One character per value (the middle level if all are equal)
+ */
+function formatSparkline(values) {
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    const top = SPARKLINE_LEVELS.length - 1;
+
+    return values
+        .map(value => SPARKLINE_LEVELS[range === 0 ? Math.floor(top / 2) : Math.round(((value - min) / range) * top)])
+        .join('');
+}
+
+/**
+ * Format the recent trend of a sample field as a sparkline and arrow
+ * Empty when disabled or with fewer than two online samples.
+ * @param {string} instanceName - Instance name
+ * @param {string} field - Sample field (see mongoMonitor.getRecentSamples)
+ * @returns {string} Sparkline and arrow, with a leading space
+ */
+function formatTrend(instanceName, field) {
+    if (!config.sparklines.enabled) return '';
+
+    const values = mongoMonitor.getRecentSamples(instanceName)
+        .filter(s => s.online && typeof s[field] === 'number')
+        .slice(-config.sparklines.samples)
+        .map(s => s[field]);
+
+    if (values.length < 2) return '';
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const trend = computeTrend(values, mean * TREND_TOLERANCE);
+
+    return ` \`${formatSparkline(values)}\` ${TREND_ARROWS[trend.direction]}`;
+}
+
 /**
  * Get embed color based on status
  * @param {Array<Object>} results - Health check results
@@ -73,10 +222,12 @@ function getOverallStatus(results) {
 /**
  * Format instance status for embed field
  * @param {Object} instance - Instance health data
+ * @param {Object} [detail] - Entry of STATUS_DETAIL_LEVELS (default: most detailed)
  * @returns {string} Formatted status string
  */
-function formatInstanceStatus(instance) {
+function formatInstanceStatus(instance, detail = STATUS_DETAIL_LEVELS[0]) {
     const lines = [];
+    const trend = (field) => detail.trends ? formatTrend(instance.name, field) : '';
     
     // Status line
     const statusEmoji = instance.online ? EMOJI.ONLINE : EMOJI.OFFLINE;
@@ -86,7 +237,7 @@ function formatInstanceStatus(instance) {
     if (instance.online) {
         // Ping
         if (instance.ping !== null) {
-            lines.push(`${EMOJI.PING} **Ping:** ${formatPing(instance.ping)}`);
+            lines.push(`${EMOJI.PING} **Ping:** ${formatPing(instance.ping)}${trend('ping')}`);
         }
         
         // Uptime
@@ -97,22 +248,37 @@ function formatInstanceStatus(instance) {
         // Connections
         if (instance.connections) {
             const conn = instance.connections;
-            lines.push(`${EMOJI.CONNECTIONS} **Connections:** ${conn.current} active / ${conn.available} available`);
+            lines.push(`${EMOJI.CONNECTIONS} **Connections:** ${conn.current} active / ${conn.available} available${trend('connections')}`);
         }
         
         // Memory
         if (instance.memory) {
             const mem = instance.memory;
-            lines.push(`${EMOJI.MEMORY} **Memory:** ${formatBytes(mem.resident)} resident / ${formatBytes(mem.virtual)} virtual`);
+            lines.push(`${EMOJI.MEMORY} **Memory:** ${formatBytes(mem.resident)} resident / ${formatBytes(mem.virtual)} virtual${trend('memory')}`);
+        }
+        
+        // WiredTiger cache and tickets
+        if (detail.secondary && instance.cache) {
+            lines.push(`${EMOJI.CACHE} **WT Cache:** ${formatPercent(instance.cache.usedPercent)} used · ${formatPercent(instance.cache.dirtyPercent)} dirty`);
+        }
+        if (detail.secondary && instance.tickets) {
+            lines.push(`${EMOJI.TICKETS} **Tickets:** read ${formatPercent(instance.tickets.read.usedPercent)} · write ${formatPercent(instance.tickets.write.usedPercent)} in use`);
+        }
+        
+        // Operation and network rates
+        if (detail.secondary && instance.rates) {
+            const ops = instance.rates.operations;
+            lines.push(`${EMOJI.OPERATIONS} **Ops/s:** ${formatRate(ops.insert)} ins · ${formatRate(ops.query)} qry · ${formatRate(ops.update)} upd · ${formatRate(ops.delete)} del · ${formatRate(ops.command)} cmd`);
+            lines.push(`${EMOJI.NETWORK} **Network:** ${formatBytes(instance.rates.network.bytesIn)}/s in / ${formatBytes(instance.rates.network.bytesOut)}/s out`);
         }
         
         // Version info
-        if (instance.version) {
+        if (detail.secondary && instance.version) {
             lines.push(`${EMOJI.VERSION} **Version:** ${instance.version.version}`);
         }
         
         // Storage engine
-        if (instance.storageEngine) {
+        if (detail.secondary && instance.storageEngine) {
             lines.push(`${EMOJI.STORAGE} **Storage:** ${instance.storageEngine.name}`);
         }
         
@@ -120,7 +286,31 @@ function formatInstanceStatus(instance) {
         if (instance.replication) {
             const repl = instance.replication;
             const role = repl.ismaster ? 'Primary' : (repl.secondary ? 'Secondary' : 'Unknown');
-            lines.push(`${EMOJI.REPLICATION} **Replica Set:** ${repl.setName} (${role})`);
+            let replLine = `${EMOJI.REPLICATION} **Replica Set:** ${repl.setName} (${role})`;
+            
+            if (instance.replicaSet) {
+                const rs = instance.replicaSet;
+                replLine += ` · ${rs.healthyMembers}/${rs.members.length} healthy`;
+                if (rs.maxLagSeconds !== null) {
+                    replLine += ` · lag ${formatUptime(rs.maxLagSeconds)}`;
+                }
+            }
+            
+            lines.push(replLine);
+        }
+        
+        // Long-running operations
+        if (instance.longRunningOps?.count > 0) {
+            const ops = instance.longRunningOps;
+            lines.push(`${EMOJI.SLOW} **Long-running Ops:** ${ops.count} (oldest ${formatUptime(ops.oldestSeconds)})`);
+        }
+        
+        // Sharded cluster summary (mongos)
+        if (instance.cluster) {
+            const cluster = instance.cluster;
+            const healthy = cluster.shardCount - cluster.unhealthyShards;
+            const balancer = cluster.balancer ? (cluster.balancer.enabled ? 'on' : cluster.balancer.mode) : 'unknown';
+            lines.push(`${EMOJI.CLUSTER} **Sharded Cluster:** ${healthy}/${cluster.shardCount} shards healthy · balancer ${balancer}`);
         }
         
     } else {
@@ -135,31 +325,45 @@ function formatInstanceStatus(instance) {
 
 /**
  * Build the main status embed
+ * Sparklines, then secondary lines, are left out when every instance wouldn't fit otherwise,
+ * and instances past Discord's limits are left out as a last resort.
  * @param {Array<Object>} results - Health check results
+ * @param {string} [title='MongoDB Monitor Dashboard'] - Dashboard title
  * @returns {EmbedBuilder} Discord embed
  */
-function buildStatusEmbed(results) {
+function buildStatusEmbed(results, title = 'MongoDB Monitor Dashboard') {
     const embed = new EmbedBuilder()
-        .setTitle(`${EMOJI.DATABASE} MongoDB Monitor Dashboard`)
+        .setTitle(`${EMOJI.DATABASE} ${title}`)
         .setDescription(getOverallStatus(results))
         .setThumbnail("https://cdn.discordapp.com/attachments/909355700453511199/1463903773444280340/0f77c13e-17e6-4099-91e6-a7e31c103080.png?ex=69738621&is=697234a1&hm=3f8030239ea65e8283bb9a1bdbf90bd67ac433c7422dfec4cab4948f0c668992&")
         .setColor(getStatusColor(results))
         .setTimestamp();
     
-    // Add field for each MongoDB instance
-    for (const instance of results) {
-        embed.addFields({
+    // Add summary footer
+    const summary = mongoMonitor.getStatusSummary(results);
+    const footer = `${summary.online}/${summary.total} instances online (${summary.percentage}%)`;
+    embed.setFooter({ text: `${footer} • Last updated` });
+    
+    // Field for each MongoDB instance, at the most detailed level that fits
+    let fields = [];
+    let fits = false;
+    for (const detail of STATUS_DETAIL_LEVELS) {
+        fields = results.map(instance => ({
             name: `${instance.online ? EMOJI.ONLINE : EMOJI.OFFLINE} ${instance.name}`,
-            value: formatInstanceStatus(instance),
+            value: formatInstanceStatus(instance, detail),
             inline: results.length <= 2 // Inline if 2 or fewer instances
-        });
+        }));
+        
+        const length = fields.reduce((sum, f) => sum + f.name.length + f.value.length, embedLength(embed.data));
+        fits = length <= EMBED_LIMITS.total && fields.length <= EMBED_LIMITS.fields;
+        if (fits) break;
     }
     
-    // Add summary footer
-    const summary = mongoMonitor.getStatusSummary(results);
-    embed.setFooter({
-        text: `${summary.online}/${summary.total} instances online (${summary.percentage}%) • Last updated`
-    });
+    // Otherwise leave room to note the instances left out in the footer
+    const shown = addFieldsWithinLimit(embed, fields, fits ? 0 : FOOTER_RESERVE / 2);
+    if (shown < fields.length) {
+        embed.setFooter({ text: `${footer} · showing ${shown} of ${fields.length} • Last updated` });
+    }
     
     return embed;
 }
@@ -167,9 +371,10 @@ function buildStatusEmbed(results) {
 /**
  * Build a detailed status embed for a single instance
  * @param {Object} instance - Instance health data
+ * @param {string|null} [chartFileName=null] - Name of an attached chart image to show
  * @returns {EmbedBuilder} Discord embed
  */
-function buildDetailedInstanceEmbed(instance) {
+function buildDetailedInstanceEmbed(instance, chartFileName = null) {
     const embed = new EmbedBuilder()
         .setTitle(`${EMOJI.DATABASE} ${instance.name} - Detailed Status`)
         .setColor(instance.online ? config.colors.online : config.colors.offline)
@@ -186,7 +391,11 @@ function buildDetailedInstanceEmbed(instance) {
             name: `${EMOJI.PING} Connection`,
             value: [
                 `**Ping:** ${formatPing(instance.ping)}`,
-                `**Uptime:** ${formatUptime(instance.uptime)}`
+                `**Uptime:** ${formatUptime(instance.uptime)}`,
+                ...(instance.heartbeat ? [
+                    `**Heartbeat:** ${instance.heartbeat.ok === false ? EMOJI.OFFLINE : EMOJI.ONLINE} ${instance.heartbeat.duration ?? '?'}ms${instance.heartbeat.serversTotal > 1 ? ` (${instance.heartbeat.serversUp}/${instance.heartbeat.serversTotal} servers)` : ''}`,
+                    `**Topology:** ${instance.heartbeat.topologyType ?? 'Unknown'}`
+                ] : [])
             ].join('\n'),
             inline: true
         });
@@ -197,7 +406,9 @@ function buildDetailedInstanceEmbed(instance) {
                 name: `${EMOJI.MEMORY} Memory Usage`,
                 value: [
                     `**Resident:** ${formatBytes(instance.memory.resident)}`,
-                    `**Virtual:** ${formatBytes(instance.memory.virtual)}`
+                    `**Virtual:** ${formatBytes(instance.memory.virtual)}`,
+                    ...(instance.memory.heapSize !== null ? [`**Heap Size:** ${formatBytes(instance.memory.heapSize)}`] : []),
+                    ...(instance.memory.currentAllocated !== null ? [`**Allocated:** ${formatBytes(instance.memory.currentAllocated)}`] : [])
                 ].join('\n'),
                 inline: true
             });
@@ -210,6 +421,8 @@ function buildDetailedInstanceEmbed(instance) {
                 value: [
                     `**Current:** ${instance.connections.current}`,
                     `**Available:** ${instance.connections.available}`,
+                    `**Active:** ${instance.connections.active}`,
+                    `**Threaded:** ${instance.connections.threaded}`,
                     `**Total Created:** ${instance.connections.totalCreated}`
                 ].join('\n'),
                 inline: true
@@ -218,28 +431,108 @@ function buildDetailedInstanceEmbed(instance) {
         
         // Network
         if (instance.network) {
+            const rates = instance.rates?.network;
             embed.addFields({
                 name: `${EMOJI.NETWORK} Network`,
-                value: [
-                    `**Bytes In:** ${formatBytes(instance.network.bytesIn)}`,
-                    `**Bytes Out:** ${formatBytes(instance.network.bytesOut)}`,
-                    `**Requests:** ${instance.network.numRequests.toLocaleString()}`
-                ].join('\n'),
+                value: rates
+                    ? [
+                        `**In:** ${formatBytes(rates.bytesIn)}/s`,
+                        `**Out:** ${formatBytes(rates.bytesOut)}/s`,
+                        `**Requests:** ${formatRate(rates.numRequests)}/s`
+                    ].join('\n')
+                    : [
+                        `**Bytes In:** ${formatBytes(instance.network.bytesIn)}`,
+                        `**Bytes Out:** ${formatBytes(instance.network.bytesOut)}`,
+                        `**Requests:** ${instance.network.numRequests.toLocaleString()}`,
+                        '*Rates available after the next check*'
+                    ].join('\n'),
                 inline: true
             });
         }
         
         // Operations
         if (instance.operations) {
-            const ops = instance.operations;
+            const ops = instance.rates?.operations;
             embed.addFields({
                 name: `${EMOJI.OPERATIONS} Operations`,
-                value: [
-                    `**Insert:** ${ops.insert.toLocaleString()}`,
-                    `**Query:** ${ops.query.toLocaleString()}`,
-                    `**Update:** ${ops.update.toLocaleString()}`,
-                    `**Delete:** ${ops.delete.toLocaleString()}`
-                ].join('\n'),
+                value: ops
+                    ? [
+                        `**Insert:** ${formatRate(ops.insert)}/s`,
+                        `**Query:** ${formatRate(ops.query)}/s`,
+                        `**Update:** ${formatRate(ops.update)}/s`,
+                        `**Delete:** ${formatRate(ops.delete)}/s`,
+                        `**Command:** ${formatRate(ops.command)}/s`
+                    ].join('\n')
+                    : [
+                        `**Insert:** ${instance.operations.insert.toLocaleString()}`,
+                        `**Query:** ${instance.operations.query.toLocaleString()}`,
+                        `**Update:** ${instance.operations.update.toLocaleString()}`,
+                        `**Delete:** ${instance.operations.delete.toLocaleString()}`,
+                        '*Rates available after the next check*'
+                    ].join('\n'),
+                inline: true
+            });
+        }
+        
+        // WiredTiger
+        if (instance.cache || instance.tickets) {
+            const lines = [];
+            
+            if (instance.cache) {
+                const cache = instance.cache;
+                lines.push(`**Cache:** ${formatBytes(cache.bytesInCache)} / ${formatBytes(cache.maxBytes)} (${formatPercent(cache.usedPercent)})`);
+                lines.push(`**Dirty:** ${formatBytes(cache.dirtyBytes)} (${formatPercent(cache.dirtyPercent)})`);
+                
+                const evictions = instance.rates?.evictions;
+                lines.push(evictions
+                    ? `**Evictions:** ${formatRate(evictions.pagesEvicted)}/s (${formatRate(evictions.pagesEvictedByAppThreads)}/s by app threads)`
+                    : `**Pages Evicted:** ${cache.pagesEvicted.toLocaleString()}`);
+            }
+            
+            if (instance.tickets) {
+                const { read, write } = instance.tickets;
+                lines.push(`**Read Tickets:** ${read.out} out / ${read.available} available`);
+                lines.push(`**Write Tickets:** ${write.out} out / ${write.available} available`);
+            }
+            
+            embed.addFields({
+                name: `${EMOJI.CACHE} WiredTiger`,
+                value: lines.join('\n'),
+                inline: true
+            });
+        }
+        
+        // Locks and queues
+        if (instance.locks) {
+            const locks = instance.locks;
+            const arrow = (trend) => (trend ? ` ${TREND_ARROWS[trend.direction]}` : '');
+            const lines = [
+                `**Queued:** ${locks.queue.readers} R${arrow(locks.trend?.readers)} / ${locks.queue.writers} W${arrow(locks.trend?.writers)}`,
+                `**Active Clients:** ${locks.activeClients.readers} R / ${locks.activeClients.writers} W`
+            ];
+            
+            if (instance.rates?.lockWaits) {
+                const waits = instance.rates.lockWaits;
+                lines.push(`**Lock Waits:** ${formatRate(waits.acquireWaitCount)}/s (${formatRate(waits.timeAcquiringMicros / 1000)}ms/s waiting)`);
+            }
+            
+            // Resources that have had to wait the most
+            const contended = Object.entries(locks.resources)
+                .filter(([, r]) => r.acquireWaitCount > 0)
+                .sort(([, a], [, b]) => b.timeAcquiringMicros - a.timeAcquiringMicros)
+                .slice(0, 3);
+            
+            for (const [resource, r] of contended) {
+                lines.push(`**${resource}:** ${r.acquireWaitCount.toLocaleString()} waits · ${formatUptime(r.timeAcquiringMicros / 1e6)}`);
+            }
+            
+            if (locks.totals.deadlockCount > 0) {
+                lines.push(`${EMOJI.WARNING} **Deadlocks:** ${locks.totals.deadlockCount.toLocaleString()}`);
+            }
+            
+            embed.addFields({
+                name: `${EMOJI.LOCKS} Locks & Queues`,
+                value: lines.join('\n'),
                 inline: true
             });
         }
@@ -251,7 +544,51 @@ function buildDetailedInstanceEmbed(instance) {
                 value: [
                     `**Version:** ${instance.version.version}`,
                     `**Process:** ${instance.version.process}`,
-                    `**Host:** ${instance.version.host}`
+                    `**Host:** ${instance.version.host}`,
+                    `**PID:** ${instance.version.pid}`
+                ].join('\n'),
+                inline: true
+            });
+        }
+        
+        // Replica set members
+        if (instance.replicaSet) {
+            const rs = instance.replicaSet;
+            const memberLines = rs.members.map((m) => {
+                const emoji = m.health ? EMOJI.ONLINE : EMOJI.OFFLINE;
+                const lag = m.lagSeconds !== null && m.state !== 'PRIMARY' ? ` · lag ${formatUptime(m.lagSeconds)}` : '';
+                const optime = m.optimeDate ? ` · ${getDiscordTimestamp(new Date(m.optimeDate), 'T')}` : '';
+                return `${emoji} \`${m.name}\` **${m.state}**${lag}${optime}${m.self ? ' *(this node)*' : ''}`;
+            });
+            
+            const summaryLines = [
+                `**Set:** ${rs.setName} (term ${rs.term ?? '?'})`,
+                `**Primary:** ${rs.primary ?? 'None'}`,
+                `**Oplog Window:** ${rs.oplogWindowSeconds !== null ? formatUptime(rs.oplogWindowSeconds) : 'Unknown'}`
+            ];
+            
+            if (rs.electionDate) {
+                summaryLines.push(`**Last Election:** ${getDiscordTimestamp(new Date(rs.electionDate), 'R')}`);
+            }
+            if (rs.electionChanged) {
+                summaryLines.push(`${EMOJI.WARNING} **Primary changed** from ${rs.previousPrimary ?? 'none'}`);
+            }
+            
+            embed.addFields({
+                name: `${EMOJI.REPLICATION} Replica Set Members`,
+                value: [...summaryLines, '', ...memberLines].join('\n').slice(0, 1024),
+                inline: false
+            });
+        }
+        
+        // Storage Engine
+        if (instance.storageEngine) {
+            embed.addFields({
+                name: `${EMOJI.STORAGE} Storage Engine`,
+                value: [
+                    `**Engine:** ${instance.storageEngine.name}`,
+                    `**Persistent:** ${instance.storageEngine.persistent ? 'Yes' : 'No'}`,
+                    `**Committed Reads:** ${instance.storageEngine.supportsCommittedReads ? 'Yes' : 'No'}`
                 ].join('\n'),
                 inline: true
             });
@@ -265,6 +602,10 @@ function buildDetailedInstanceEmbed(instance) {
         });
     }
     
+    if (chartFileName) {
+        embed.setImage(`attachment://${chartFileName}`);
+    }
+    
     embed.setFooter({
         text: `Last checked`
     });
@@ -272,6 +613,270 @@ function buildDetailedInstanceEmbed(instance) {
     return embed;
 }
 
+/**
+ * Build an embed around an attached chart of recent samples
+ * @param {string} instanceName - Instance name
+ * @param {Array<Object>} samples - Charted samples, oldest first
+ * @param {string} chartFileName - Name of the attached chart image
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildChartEmbed(instanceName, samples, chartFileName) {
+    const online = samples.filter(s => s.online).length;
+    const span = (samples[samples.length - 1].t - samples[0].t) / 1000;
+
+    return new EmbedBuilder()
+        .setTitle(`${EMOJI.HISTORY} ${instanceName} - Recent Checks`)
+        .setDescription(`Last ${samples.length} checks over ${formatUptime(span)} (${online} online)`)
+        .setColor(config.colors.info)
+        .setImage(`attachment://${chartFileName}`)
+        .setTimestamp();
+}
+
+/**
+ * Build a sharded cluster embed for a mongos instance
+ * @param {Object} instance - Instance health data with cluster info
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildClusterEmbed(instance) {
+    const cluster = instance.cluster;
+    const color = cluster.unhealthyShards === 0
+        ? config.colors.online
+        : (cluster.unhealthyShards === cluster.shardCount ? config.colors.offline : config.colors.partial);
+    
+    const embed = new EmbedBuilder()
+        .setTitle(`${EMOJI.CLUSTER} ${instance.name} - Sharded Cluster`)
+        .setColor(color)
+        .setTimestamp();
+    
+    // Balancer
+    if (cluster.balancer) {
+        const b = cluster.balancer;
+        embed.setDescription([
+            `**Balancer:** ${b.enabled ? `${EMOJI.ONLINE} Enabled` : `${EMOJI.OFFLINE} ${b.mode}`}`,
+            `**Balancing Now:** ${b.inBalancerRound ? 'Yes' : 'No'}`,
+            `**Rounds:** ${b.numBalancerRounds.toLocaleString()}`
+        ].join('\n'));
+    } else {
+        embed.setDescription('**Balancer:** Unknown');
+    }
+    
+    // Shards (Discord allows at most 25 fields)
+    for (const shard of cluster.shards.slice(0, 20)) {
+        const emoji = shard.healthy === false ? EMOJI.OFFLINE : EMOJI.ONLINE;
+        const lines = [`\`${shard.host}\``];
+        
+        if (shard.draining) {
+            lines.push(`${EMOJI.WARNING} Draining`);
+        }
+        
+        if (shard.replicaSet) {
+            const rs = shard.replicaSet;
+            lines.push(`**Primary:** ${rs.primary ?? 'None'}`);
+            lines.push(`**Members:** ${rs.healthyMembers}/${rs.members.length} healthy`);
+            if (rs.maxLagSeconds !== null) {
+                lines.push(`**Max Lag:** ${formatUptime(rs.maxLagSeconds)}`);
+            }
+        }
+        
+        if (shard.error) {
+            lines.push(`${EMOJI.ERROR} ${shard.error}`);
+        }
+        
+        embed.addFields({
+            name: `${emoji} ${shard.id}`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: true
+        });
+    }
+    
+    // Chunk distribution
+    if (cluster.collections.length > 0) {
+        const lines = cluster.collections.map((coll) => {
+            const perShard = Object.entries(coll.shards)
+                .map(([shard, count]) => `${shard}: ${count}`)
+                .join(', ');
+            return `\`${coll.ns}\` — ${coll.totalChunks} chunks (${perShard || 'none'})`;
+        });
+        
+        embed.addFields({
+            name: `${EMOJI.OPERATIONS} Chunk Distribution`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+    
+    embed.setFooter({
+        text: `${cluster.shardCount} shard(s) • ${cluster.unhealthyShards} unhealthy`
+    });
+    
+    return embed;
+}
+
+/**
+ * Build a storage statistics embed
+ * @param {string} instanceName - Instance name
+ * @param {Object} storage - Storage statistics from storageCheck.collectStorageStats
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildStorageEmbed(instanceName, storage) {
+    const { totals } = storage;
+    
+    const embed = new EmbedBuilder()
+        .setTitle(`${EMOJI.STORAGE} ${instanceName} - Storage`)
+        .setColor(config.colors.info)
+        .setDescription([
+            `**Data Size:** ${formatBytes(totals.dataSize)}`,
+            `**Storage Size:** ${formatBytes(totals.storageSize)}`,
+            `**Index Size:** ${formatBytes(totals.indexSize)}`,
+            `**Documents:** ${totals.documents.toLocaleString()}`,
+            `**Databases:** ${totals.databases} · **Collections:** ${totals.collections}`
+        ].join('\n'))
+        .setTimestamp(new Date(storage.collectedAt));
+    
+    // Largest databases
+    for (const db of storage.databases.slice(0, 12)) {
+        embed.addFields({
+            name: `${EMOJI.DATABASE} ${db.name}`,
+            value: [
+                `**Data:** ${formatBytes(db.dataSize)}`,
+                `**Storage:** ${formatBytes(db.storageSize)}`,
+                `**Indexes:** ${formatBytes(db.indexSize)}`,
+                `**Documents:** ${db.documents.toLocaleString()}`
+            ].join('\n'),
+            inline: true
+        });
+    }
+    
+    // Largest collections
+    if (storage.largestCollections.length > 0) {
+        const lines = storage.largestCollections.map((coll, i) =>
+            `**${i + 1}.** \`${coll.ns}\` — ${formatBytes(coll.storageSize)} (${coll.documents.toLocaleString()} docs, idx ${formatBytes(coll.indexSize)})`
+        );
+        
+        embed.addFields({
+            name: `${EMOJI.OPERATIONS} Largest Collections`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+    
+    embed.setFooter({
+        text: 'Collected'
+    });
+    
+    return embed;
+}
+
+/**
+ * Build a long-running operations embed
+ * @param {string} instanceName - Instance name
+ * @param {Array<Object>} ops - Operations from currentOpCheck.getLongRunningOps
+ * @param {number} minSeconds - Minimum running time used for the query
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildCurrentOpEmbed(instanceName, ops, minSeconds) {
+    const embed = new EmbedBuilder()
+        .setTitle(`${EMOJI.SLOW} ${instanceName} - Operations ≥ ${formatUptime(minSeconds)}`)
+        .setColor(ops.length > 0 ? config.colors.partial : config.colors.online)
+        .setTimestamp();
+    
+    if (ops.length === 0) {
+        embed.setDescription('No active operations above the threshold.');
+        return embed;
+    }
+    
+    embed.setDescription(`**${ops.length}** active operation(s) running for at least ${formatUptime(minSeconds)}.`);
+    
+    const fields = ops.slice(0, 10).map((op) => {
+        const lines = [
+            `**Running:** ${formatUptime(op.secsRunning)}`,
+            `**Type:** ${op.op}${op.ns ? ` on \`${op.ns}\`` : ''}`
+        ];
+        
+        if (op.planSummary) lines.push(`**Plan:** ${op.planSummary}`);
+        if (op.user || op.appName) lines.push(`**Client:** ${[op.user, op.appName].filter(Boolean).join(' · ')}`);
+        if (op.client) lines.push(`**Address:** ${op.client}`);
+        if (op.waitingForLock) lines.push(`${EMOJI.WARNING} Waiting for lock`);
+        if (op.command) lines.push(`\`\`\`json\n${op.command}\n\`\`\``);
+        
+        return {
+            name: `opid ${op.opid}`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: false
+        };
+    });
+    
+    const shown = addFieldsWithinLimit(embed, fields);
+    embed.setFooter({
+        text: shown < ops.length ? `Showing ${shown} of ${ops.length} operations` : 'Current operations'
+    });
+    
+    return embed;
+}
+
+/**
+ * Build a slow query digest embed
+ * @param {string} instanceName - Instance name
+ * @param {Object} digest - Digest from profilerCheck.collectSlowQueryDigest
+ * @param {Date} since - Start of the digest period
+ * @param {number} topQueries - Number of query shapes to show
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildSlowQueryEmbed(instanceName, digest, since, topQueries) {
+    const collscans = digest.entries.filter(e => e.collscan).length;
+    
+    const embed = new EmbedBuilder()
+        .setTitle(`${EMOJI.SLOW} ${instanceName} - Top Slow Queries`)
+        .setColor(collscans > 0 ? config.colors.partial : config.colors.info)
+        .setDescription([
+            `**Since:** ${getDiscordTimestamp(since, 'f')}`,
+            `**Slow operations:** ${digest.scanned.toLocaleString()} in ${digest.entries.length} shape(s)`,
+            ...(collscans > 0 ? [`${EMOJI.WARNING} **${collscans}** shape(s) used a COLLSCAN`] : [])
+        ].join('\n'))
+        .setTimestamp();
+    
+    const fields = digest.entries.slice(0, topQueries).map((entry, i) => {
+        const ratio = entry.docsReturned > 0
+            ? `${Math.round(entry.docsExamined / entry.docsReturned).toLocaleString()}:1`
+            : 'n/a';
+        
+        const lines = [
+            `**Count:** ${entry.count.toLocaleString()} · **Avg:** ${entry.avgMillis.toLocaleString()}ms · **Max:** ${entry.maxMillis.toLocaleString()}ms`,
+            `**Docs examined/returned:** ${entry.docsExamined.toLocaleString()} / ${entry.docsReturned.toLocaleString()} (${ratio})`,
+            `**Plan:** ${entry.collscan ? `${EMOJI.WARNING} COLLSCAN` : (entry.planSummary ?? 'n/a')}`,
+            `\`\`\`json\n${entry.shape}\n\`\`\``
+        ];
+        
+        return {
+            name: `#${i + 1} ${entry.ns} · ${entry.op}`.slice(0, 256),
+            value: lines.join('\n').slice(0, 1024),
+            inline: false
+        };
+    });
+    
+    const errorField = digest.errors.length > 0 ? {
+        name: `${EMOJI.ERROR} Errors`,
+        value: digest.errors.join('\n').slice(0, 1024),
+        inline: false
+    } : null;
+    
+    // Drop the lowest-ranked shapes rather than fail to send the whole digest
+    const errorLength = errorField ? errorField.name.length + errorField.value.length : 0;
+    const shown = addFieldsWithinLimit(embed, fields, FOOTER_RESERVE + errorLength);
+    
+    if (errorField) {
+        embed.addFields(errorField);
+    }
+    
+    embed.setFooter({
+        text: shown < fields.length
+            ? `Slow query digest from system.profile · showing ${shown} of ${fields.length} shapes`
+            : 'Slow query digest from system.profile'
+    });
+    
+    return embed;
+}
+
 /**
  * Build reconnect info embed
  * @param {Object} reconnectInfo - Reconnect tracking data
@@ -315,6 +920,266 @@ function buildReconnectInfoEmbed(reconnectInfo) {
     return embed;
 }
 
+/**
+ * Format a numeric metric value according to its unit
+ * @param {number|null} value - Metric value
+ * @param {string} unit - Unit name (ms, bytes, seconds, percent, count)
+ * @returns {string} Formatted value
+ */
+function formatMetricValue(value, unit) {
+    if (typeof value !== 'number' || isNaN(value)) {
+        return 'N/A';
+    }
+
+    switch (unit) {
+        case 'ms':
+            return `${Math.round(value)}ms`;
+        case 'bytes':
+            return formatBytes(value);
+        case 'seconds':
+            return formatUptime(value);
+        case 'percent':
+            return formatPercent(value);
+        default:
+            return (Math.round(value * 100) / 100).toLocaleString();
+    }
+}
+
+/**
+ * Build a metric history summary embed
+ * @param {string} instanceName - Instance name
+ * @param {Object} metricInfo - Metric definition ({ label, unit })
+ * @param {string} range - Range label (e.g. "24h")
+ * @param {Object} summary - Summary from historyStore.summarize
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildHistoryEmbed(instanceName, metricInfo, range, summary) {
+    const embed = new EmbedBuilder()
+        .setTitle(`${EMOJI.HISTORY} ${instanceName} - ${metricInfo.label} (${range})`)
+        .setColor(config.colors.info)
+        .setTimestamp();
+
+    if (summary.points === 0) {
+        embed.setDescription('No samples recorded for this range yet.');
+        return embed;
+    }
+
+    embed.addFields(
+        { name: 'Min', value: formatMetricValue(summary.min, metricInfo.unit), inline: true },
+        { name: 'Avg', value: formatMetricValue(summary.avg, metricInfo.unit), inline: true },
+        { name: 'Max', value: formatMetricValue(summary.max, metricInfo.unit), inline: true }
+    );
+
+    if (summary.availability !== null) {
+        embed.addFields({
+            name: `${EMOJI.ONLINE} Availability`,
+            value: `${summary.availability}%`,
+            inline: true
+        });
+    }
+
+    embed.addFields({
+        name: 'Samples',
+        value: summary.points.toLocaleString(),
+        inline: true
+    });
+
+    const recentLines = summary.recent
+        .slice()
+        .reverse()
+        .map(p => `${getDiscordTimestamp(new Date(p.t), 'f')} — ${formatMetricValue(p.value, metricInfo.unit)}`);
+
+    embed.addFields({
+        name: 'Recent Samples',
+        value: recentLines.join('\n'),
+        inline: false
+    });
+
+    embed.setFooter({
+        text: `History for the last ${range}`
+    });
+
+    return embed;
+}
+
+/**
+ * Build an alert notification embed
+ * @param {Object} event - Alert event from alertEngine.evaluate
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildAlertEmbed(event) {
+    const { rule } = event;
+    const resolved = event.type === 'resolved';
+    const condition = `\`${rule.metric} ${rule.operator} ${rule.threshold}\``;
+
+    const embed = new EmbedBuilder()
+        .setTitle(resolved
+            ? `${EMOJI.RESOLVED} Resolved: ${rule.name}`
+            : `${EMOJI.ALERT} [${rule.severity.toUpperCase()}] ${rule.name}`)
+        .setDescription(resolved
+            ? `**${event.instance}** no longer matches ${condition}`
+            : `**${event.instance}** matched ${condition} for ${rule.for} cycle(s)`)
+        .setColor(resolved ? config.colors.online : (config.colors[SEVERITY_COLORS[rule.severity]] ?? config.colors.info))
+        .addFields(
+            { name: `${EMOJI.DATABASE} Instance`, value: event.instance, inline: true },
+            { name: `${EMOJI.WARNING} Severity`, value: rule.severity, inline: true },
+            { name: `${EMOJI.OPERATIONS} Current Value`, value: String(event.value), inline: true }
+        )
+        .setTimestamp();
+
+    if (resolved && event.triggeredAt) {
+        const duration = (Date.parse(event.resolvedAt) - Date.parse(event.triggeredAt)) / 1000;
+        embed.addFields({
+            name: `${EMOJI.UPTIME} Active For`,
+            value: formatUptime(duration),
+            inline: true
+        });
+    }
+
+    embed.setFooter({
+        text: resolved ? 'Alert resolved' : 'Alert triggered'
+    });
+
+    return embed;
+}
+
+/**
+ * Build a down/recovered notification embed
+ * @param {Object} event - Transition event from stateTracker.detectTransitions
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildTransitionEmbed(event) {
+    const down = event.type === 'down';
+
+    const embed = new EmbedBuilder()
+        .setTitle(down
+            ? `${EMOJI.OFFLINE} ${event.instance} went down`
+            : `${EMOJI.ONLINE} ${event.instance} recovered`)
+        .setColor(down ? config.colors.offline : config.colors.online)
+        .setTimestamp();
+
+    if (down) {
+        embed.setDescription(`**${event.instance}** is now **OFFLINE**.`);
+        embed.addFields({
+            name: `${EMOJI.ERROR} Error`,
+            value: event.error || 'Unknown error',
+            inline: false
+        });
+        
+        // Outages that started and ended during the notification cooldown
+        if (event.downtime !== null) {
+            embed.addFields({
+                name: `${EMOJI.UPTIME} Unreported Downtime`,
+                value: `${formatUptime(event.downtime)} over ${event.outages} earlier outage(s)`,
+                inline: true
+            });
+        }
+    } else {
+        embed.setDescription(`**${event.instance}** is back **ONLINE**.`);
+        if (event.downtime !== null) {
+            embed.addFields({
+                name: `${EMOJI.UPTIME} Downtime`,
+                value: formatUptime(event.downtime) + (event.outages > 1 ? ` over ${event.outages} outages` : ''),
+                inline: true
+            });
+        }
+    }
+
+    if (event.downSince) {
+        embed.addFields({
+            name: `${EMOJI.WARNING} Down Since`,
+            value: getDiscordTimestamp(new Date(event.downSince), 'f'),
+            inline: true
+        });
+    }
+
+    return embed;
+}
+
+/**
+ * Strip credentials and options from a connection string for display
+ * @param {string} uri - Connection string
+ * @returns {string} Scheme and hosts only
+ */
+function redactUri(uri) {
+    const match = /^(mongodb(?:\+srv)?:\/\/)(?:[^@/]*@)?([^/?]*)/.exec(uri ?? '');
+    return match ? `${match[1]}${match[2]}` : 'invalid URI';
+}
+
+/**
+ * Build the monitored instance list embed
+ * @param {Array<Object>} entries - Entries ({ instance, interval, stored }), stored is the store metadata or null
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildInstanceListEmbed(entries) {
+    const embed = new EmbedBuilder()
+        .setTitle(`${EMOJI.DATABASE} Monitored Instances`)
+        .setColor(config.colors.info)
+        .setDescription(entries.length > 0 ? `**${entries.length}** instance(s)` : 'No instances are configured.')
+        .setTimestamp();
+    
+    for (const { instance, interval, stored } of entries.slice(0, 25)) {
+        const lines = [
+            `**Hosts:** \`${redactUri(instance.uri)}\``,
+            `**Interval:** ${formatUptime(interval / 1000)}`
+        ];
+        
+        if (stored) {
+            lines.push(`**Added by:** <@${stored.addedBy}> ${getDiscordTimestamp(new Date(stored.addedAt), 'R')}`);
+            if (stored.updatedBy) {
+                lines.push(`**Edited by:** <@${stored.updatedBy}> ${getDiscordTimestamp(new Date(stored.updatedAt), 'R')}`);
+            }
+        } else {
+            lines.push('**Source:** configuration');
+        }
+        
+        embed.addFields({
+            name: `${EMOJI.DATABASE} ${instance.name}`,
+            value: lines.join('\n'),
+            inline: true
+        });
+    }
+    
+    if (entries.length > 25) {
+        embed.setFooter({ text: `Showing 25 of ${entries.length} instances` });
+    }
+    
+    return embed;
+}
+
+/**
+ * Build an instance file reload result embed
+ * @param {Object} result - Reload result from instanceConfig.load
+ * @returns {EmbedBuilder} Discord embed
+ */
+function buildReloadEmbed(result) {
+    if (!result.success) {
+        const lines = result.errors.slice(0, 20).map(error => `• ${error}`);
+        if (result.errors.length > 20) {
+            lines.push(`…and ${result.errors.length - 20} more`);
+        }
+        
+        return buildErrorEmbed(
+            'Configuration Reload Failed',
+            `The running configuration was kept.\n\n${lines.join('\n')}`.slice(0, 4096)
+        );
+    }
+    
+    const { data } = result;
+    const formatNames = (names) => (names.length > 0 ? names.join(', ').slice(0, 1024) : 'None');
+    
+    return new EmbedBuilder()
+        .setTitle(`${EMOJI.RELOAD} Configuration Reloaded`)
+        .setDescription(`Loaded **${data.instances}** instance(s) from \`${data.file}\``)
+        .setColor(config.colors.online)
+        .addFields(
+            { name: 'Added', value: formatNames(data.added), inline: true },
+            { name: 'Removed', value: formatNames(data.removed), inline: true },
+            { name: 'Updated', value: formatNames(data.updated), inline: true }
+        )
+        .setTimestamp();
+}
+
 /**
  * Build an error embed
  * @param {string} title - Error title
@@ -346,8 +1211,19 @@ function buildInfoEmbed(title, message) {
 module.exports = {
     buildStatusEmbed,
     buildDetailedInstanceEmbed,
+    buildClusterEmbed,
+    buildStorageEmbed,
+    buildCurrentOpEmbed,
+    buildSlowQueryEmbed,
     buildReconnectInfoEmbed,
+    buildHistoryEmbed,
+    buildChartEmbed,
+    buildAlertEmbed,
+    buildTransitionEmbed,
+    buildReloadEmbed,
+    buildInstanceListEmbed,
     buildErrorEmbed,
     buildInfoEmbed,
-    EMOJI
+    EMOJI,
+    SEVERITY_COLORS
 };
@@ -0,0 +1,380 @@
+/**
+ * MongoMonitorBot - History Store
+ * Append-only on-disk time-series store for health check results
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Metrics that can be queried from the history store
+ * Each metric maps a stored sample field to a display label and unit
+ */
+const METRICS = {
+    ping: { label: 'Ping', unit: 'ms' },
+    connections: { label: 'Connections', unit: 'count' },
+    memory: { label: 'Resident Memory', unit: 'bytes' },
+    virtualMemory: { label: 'Virtual Memory', unit: 'bytes' },
+    uptime: { label: 'Uptime', unit: 'seconds' },
+    opsPerSec: { label: 'Operations/s', unit: 'count' },
+    bytesInPerSec: { label: 'Network In/s', unit: 'bytes' },
+    bytesOutPerSec: { label: 'Network Out/s', unit: 'bytes' },
+    replicationLag: { label: 'Replication Lag', unit: 'seconds' },
+    dataSize: { label: 'Data Size', unit: 'bytes' },
+    storageSize: { label: 'Storage Size', unit: 'bytes' },
+    indexSize: { label: 'Index Size', unit: 'bytes' },
+    documents: { label: 'Documents', unit: 'count' },
+    cacheUsedPercent: { label: 'WiredTiger Cache Used', unit: 'percent' },
+    cacheDirtyPercent: { label: 'WiredTiger Cache Dirty', unit: 'percent' },
+    lockQueue: { label: 'Lock Queue', unit: 'count' }
+};
+
+/**
+ * Extractors that flatten a checkInstance result into a stored sample
+ */
+const SAMPLE_FIELDS = {
+    ping: (result) => result.ping,
+    connections: (result) => result.connections?.current,
+    memory: (result) => result.memory?.resident,
+    virtualMemory: (result) => result.memory?.virtual,
+    uptime: (result) => result.uptime,
+    opsPerSec: (result) => result.rates?.operations.total,
+    bytesInPerSec: (result) => result.rates?.network.bytesIn,
+    bytesOutPerSec: (result) => result.rates?.network.bytesOut,
+    replicationLag: (result) => result.replicaSet?.maxLagSeconds,
+    dataSize: (result) => result.storage?.totals.dataSize,
+    storageSize: (result) => result.storage?.totals.storageSize,
+    indexSize: (result) => result.storage?.totals.indexSize,
+    documents: (result) => result.storage?.totals.documents,
+    cacheUsedPercent: (result) => result.cache?.usedPercent,
+    cacheDirtyPercent: (result) => result.cache?.dirtyPercent,
+    lockQueue: (result) => result.locks?.queue.total
+};
+
+/**
+ * Pending write chain per instance, so appends and compactions never overlap
+ */
+const writeQueues = new Map();
+
+/**
+ * Last compaction time per instance (epoch ms)
+ */
+const lastCompaction = new Map();
+
+/**
+ * Instances whose file name from before the name hash was added has been checked
+ */
+const migrated = new Set();
+
+/**
+ * Turn an instance name into a readable file name part
+ * @param {string} name - Instance name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'instance';
+}
+
+/**
+ * Get the history file path for an instance
+ * The slug is followed by a short hash of the exact name, so names with the same slug
+ * (like "Naig Database" and "naig-database") never share a file.
+ * @param {string} name - Instance name
+ * @returns {string} Absolute file path
+ */
+function getHistoryFile(name) {
+    const hash = crypto.createHash('sha256').update(name).digest('hex').slice(0, 8);
+    return path.join(config.history.directory, `${slugify(name)}-${hash}.jsonl`);
+}
+
+/**
+ * Move an instance's history from its file name without hash, once per run
+ * Left in place when several configured instances share the slug, since their samples are mixed.
+ * @param {string} name - Instance name
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyFile(name) {
+    if (migrated.has(name)) return;
+    migrated.add(name);
+
+    const slug = slugify(name);
+    const legacyFile = path.join(config.history.directory, `${slug}.jsonl`);
+    const file = getHistoryFile(name);
+
+    if (config.mongodbInstances.filter(i => slugify(i.name) === slug).length > 1) {
+        if (fs.existsSync(legacyFile)) {
+            logger.warn(`[History] ${legacyFile} mixes several instances' history, not migrating it to ${name}`);
+        }
+        return;
+    }
+
+    try {
+        await fs.promises.access(file);
+        return;
+    } catch {
+        // No history under the new name yet
+    }
+
+    try {
+        await fs.promises.rename(legacyFile, file);
+        logger.info(`[History] Moved ${name} history to ${path.basename(file)}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`[History] Could not move ${name} history: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Queue a file operation for an instance
+ * @param {string} name - Instance name
+ * @param {Function} task - Async task to run
+ * @returns {Promise<*>} Task result
+ */
+function enqueue(name, task) {
+    const previous = writeQueues.get(name) || Promise.resolve();
+    const next = previous.then(task, task);
+    writeQueues.set(name, next.catch(() => {}));
+    return next;
+}
+
+/**
+ * Convert a health check result into a compact sample
+ * @param {Object} result - Result from checkInstance
+ * @returns {Object} Sample object
+ */
+function toSample(result) {
+    const parsed = Date.parse(result.lastCheck);
+    const sample = {
+        t: Number.isNaN(parsed) ? Date.now() : parsed,
+        online: result.online ? 1 : 0
+    };
+
+    for (const [field, extract] of Object.entries(SAMPLE_FIELDS)) {
+        const value = extract(result);
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            sample[field] = value;
+        }
+    }
+
+    return sample;
+}
+
+/**
+ * Read and parse all samples for an instance
+ * @param {string} name - Instance name
+ * @returns {Promise<Array<Object>>} Samples ordered by time
+ */
+async function readSamples(name) {
+    let content;
+
+    try {
+        content = await fs.promises.readFile(getHistoryFile(name), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const samples = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+            samples.push(JSON.parse(line));
+        } catch {
+            // Skip partially written or corrupted lines
+        }
+    }
+
+    return samples.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Average samples into fixed-size time buckets
+ * Each bucket keeps its sample count `n` and the real min and max of every field
+ * (`min`/`max` objects), so already downsampled buckets can be merged again.
+ * @param {Array<Object>} samples - Samples ordered by time
+ * @param {number} bucketSize - Bucket size in milliseconds
+ * @returns {Array<Object>} Downsampled samples
+ */
+function downsample(samples, bucketSize) {
+    const buckets = new Map();
+
+    for (const sample of samples) {
+        const key = Math.floor(sample.t / bucketSize) * bucketSize;
+        if (!buckets.has(key)) {
+            buckets.set(key, []);
+        }
+        buckets.get(key).push(sample);
+    }
+
+    const result = [];
+    for (const [t, group] of buckets) {
+        const count = group.reduce((sum, s) => sum + (s.n || 1), 0);
+        const merged = { t, n: count };
+        const min = {};
+        const max = {};
+
+        for (const field of ['online', ...Object.keys(SAMPLE_FIELDS)]) {
+            let weighted = 0;
+            let weight = 0;
+
+            for (const s of group) {
+                if (typeof s[field] === 'number') {
+                    weighted += s[field] * (s.n || 1);
+                    weight += s.n || 1;
+                    min[field] = Math.min(min[field] ?? Infinity, s.min?.[field] ?? s[field]);
+                    max[field] = Math.max(max[field] ?? -Infinity, s.max?.[field] ?? s[field]);
+                }
+            }
+
+            if (weight > 0) {
+                merged[field] = Math.round((weighted / weight) * 100) / 100;
+            }
+        }
+
+        // Availability is an average by nature
+        delete min.online;
+        delete max.online;
+        if (Object.keys(min).length > 0) {
+            merged.min = min;
+            merged.max = max;
+        }
+
+        result.push(merged);
+    }
+
+    return result;
+}
+
+/**
+ * Apply retention and downsampling to an instance's history file
+ * @param {string} name - Instance name
+ * @returns {Promise<void>}
+ */
+async function compact(name) {
+    const { retention, rawRetention, downsampleInterval } = config.history;
+    const now = Date.now();
+    const samples = (await readSamples(name)).filter(s => s.t >= now - retention);
+
+    const rawCutoff = now - rawRetention;
+    const old = samples.filter(s => s.t < rawCutoff);
+    const recent = samples.filter(s => s.t >= rawCutoff);
+    const compacted = [...downsample(old, downsampleInterval), ...recent];
+
+    const file = getHistoryFile(name);
+    const tmpFile = `${file}.tmp`;
+    const body = compacted.map(s => JSON.stringify(s)).join('\n');
+
+    await fs.promises.writeFile(tmpFile, body ? `${body}\n` : '');
+    await fs.promises.rename(tmpFile, file);
+
+    logger.debug(`[History] Compacted ${name}: ${samples.length} -> ${compacted.length} sample(s)`);
+}
+
+/**
+ * Record a single health check result
+ * @param {Object} result - Result from checkInstance
+ * @returns {Promise<void>}
+ */
+async function record(result) {
+    if (!config.history.enabled || !result?.name) return;
+
+    const { name } = result;
+
+    await enqueue(name, async () => {
+        await fs.promises.mkdir(config.history.directory, { recursive: true });
+        await migrateLegacyFile(name);
+        await fs.promises.appendFile(getHistoryFile(name), `${JSON.stringify(toSample(result))}\n`);
+
+        const now = Date.now();
+        if (now - (lastCompaction.get(name) || 0) >= config.history.compactionInterval) {
+            lastCompaction.set(name, now);
+            await compact(name);
+        }
+    });
+}
+
+/**
+ * Record a batch of health check results, never throwing
+ * @param {Array<Object>} results - Results from checkAllInstances
+ * @returns {Promise<void>}
+ */
+async function recordResults(results) {
+    for (const result of results) {
+        try {
+            await record(result);
+        } catch (error) {
+            logger.error(`[History] Failed to record sample for ${result.name}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Get samples for an instance within a time range
+ * @param {string} name - Instance name
+ * @param {number} rangeMs - Range in milliseconds, counted back from now
+ * @returns {Promise<Array<Object>>} Samples ordered by time
+ */
+async function getSamples(name, rangeMs) {
+    const since = Date.now() - rangeMs;
+    const samples = await enqueue(name, async () => {
+        await migrateLegacyFile(name);
+        return readSamples(name);
+    });
+    return samples.filter(s => s.t >= since);
+}
+
+/**
+ * Summarize a metric over a time range
+ * @param {string} name - Instance name
+ * @param {string} metric - Metric key from METRICS
+ * @param {number} rangeMs - Range in milliseconds
+ * @param {number} [recentCount=10] - Number of recent samples to include
+ * @returns {Promise<Object>} Summary with min/avg/max and recent samples
+ */
+async function summarize(name, metric, rangeMs, recentCount = 10) {
+    const samples = await getSamples(name, rangeMs);
+    const points = samples
+        .filter(s => typeof s[metric] === 'number')
+        .map(s => ({ t: s.t, value: s[metric] }));
+
+    const totalWeight = samples.reduce((sum, s) => sum + (s.n || 1), 0);
+    const onlineWeight = samples.reduce((sum, s) => sum + (s.online ?? 0) * (s.n || 1), 0);
+
+    const summary = {
+        metric,
+        samples: samples.length,
+        points: points.length,
+        min: null,
+        avg: null,
+        max: null,
+        availability: totalWeight > 0 ? Math.round((onlineWeight / totalWeight) * 1000) / 10 : null,
+        recent: points.slice(-recentCount)
+    };
+
+    // Downsampled buckets count for their number of samples and keep their own min and max
+    const measured = samples.filter(s => typeof s[metric] === 'number');
+    if (measured.length > 0) {
+        const weight = measured.reduce((sum, s) => sum + (s.n || 1), 0);
+        summary.min = Math.min(...measured.map(s => s.min?.[metric] ?? s[metric]));
+        summary.max = Math.max(...measured.map(s => s.max?.[metric] ?? s[metric]));
+        summary.avg = measured.reduce((sum, s) => sum + s[metric] * (s.n || 1), 0) / weight;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    METRICS,
+    record,
+    recordResults,
+    getSamples,
+    summarize,
+    compact
+};
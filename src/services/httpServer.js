@@ -0,0 +1,168 @@
+/**
+ * MongoMonitorBot - HTTP Server
+ * Optional HTTP server for machine-readable endpoints
+ */
+
+const http = require('http');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Registered routes, matched in registration order
+ * Each entry: { method, segments, handler }
+ */
+const routes = [];
+
+let server = null;
+
+/**
+ * Register a route handler
+ * @param {string} method - HTTP method (e.g. "GET")
+ * @param {string} pathname - Request path, ":param" segments match any single segment (e.g. "/api/instances/:name")
+ * @param {function(http.IncomingMessage, http.ServerResponse, {url: URL, params: Object}): Promise<void>|void} handler - Route handler
+ */
+function addRoute(method, pathname, handler) {
+    routes.push({
+        method: method.toUpperCase(),
+        segments: pathname.split('/'),
+        handler
+    });
+}
+
+/**
+ * Match a path against a route's segments
+ * @param {Array<string>} segments - Route segments
+ * @param {Array<string>} pathSegments - Request path segments
+ * @returns {Object|null} Decoded params or null if the path doesn't match
+ */
+function matchSegments(segments, pathSegments) {
+    if (segments.length !== pathSegments.length) return null;
+
+    const params = {};
+
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i].startsWith(':')) {
+            try {
+                params[segments[i].slice(1)] = decodeURIComponent(pathSegments[i]);
+            } catch {
+                return null;
+            }
+        } else if (segments[i] !== pathSegments[i]) {
+            return null;
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Send a plain text response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} body - Response body
+ * @param {string} [contentType='text/plain; charset=utf-8'] - Content type
+ */
+function sendText(res, statusCode, body, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(statusCode, {
+        'Content-Type': contentType,
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} data - Response data
+ */
+function sendJson(res, statusCode, data) {
+    sendText(res, statusCode, `${JSON.stringify(data)}\n`, 'application/json; charset=utf-8');
+}
+
+/**
+ * Dispatch a request to its route
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const pathSegments = url.pathname.split('/');
+    let match = null;
+    let pathMatched = false;
+
+    for (const route of routes) {
+        const params = matchSegments(route.segments, pathSegments);
+        if (!params) continue;
+
+        pathMatched = true;
+        if (route.method === req.method) {
+            match = { handler: route.handler, params };
+            break;
+        }
+    }
+
+    if (!match) {
+        sendText(res, pathMatched ? 405 : 404, pathMatched ? 'Method Not Allowed\n' : 'Not Found\n');
+        return;
+    }
+
+    try {
+        await match.handler(req, res, { url, params: match.params });
+    } catch (error) {
+        logger.error(`[HTTP] ${req.method} ${url.pathname} failed: ${error.message}`);
+        if (!res.headersSent) {
+            sendText(res, 500, 'Internal Server Error\n');
+        } else {
+            res.end();
+        }
+    }
+}
+
+/**
+ * Start the HTTP server
+ * @returns {Promise<void>} Resolves once the server is listening
+ */
+function start() {
+    if (server) return Promise.resolve();
+
+    const { port, host } = config.http;
+
+    return new Promise((resolve, reject) => {
+        server = http.createServer(handleRequest);
+
+        server.once('error', (error) => {
+            server = null;
+            reject(error);
+        });
+
+        server.listen(port, host, () => {
+            logger.info(`[HTTP] Listening on http://${host}:${port}`);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Stop the HTTP server
+ * @returns {Promise<void>} Resolves once open connections are closed
+ */
+function stop() {
+    if (!server) return Promise.resolve();
+
+    const closing = server;
+    server = null;
+
+    return new Promise((resolve) => {
+        closing.close(() => resolve());
+        closing.closeIdleConnections?.();
+    });
+}
+
+module.exports = {
+    addRoute,
+    sendText,
+    sendJson,
+    start,
+    stop
+};
@@ -0,0 +1,487 @@
+/**
+ * MongoMonitorBot - Instance Configuration File
+ * Loads instances, intervals, colors and alert settings from an external JSON/YAML file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { MongoClient } = require('mongodb');
+const config = require('../config');
+const logger = require('../utils/logger');
+const alertEngine = require('../monitors/alertEngine');
+const instanceStore = require('./instanceStore');
+const { parseDuration } = require('../utils/time');
+
+/**
+ * Smallest check interval accepted from the file
+ */
+const MIN_INTERVAL = 5000;
+
+/**
+ * Delay before reloading after a file change, editors often write in several steps
+ */
+const WATCH_DEBOUNCE_MS = 500;
+
+/**
+ * Allowed fields per instance
+ * type: string, integer, boolean, duration, snowflake or string[]
+ */
+const INSTANCE_SCHEMA = {
+    name: { type: 'string', required: true },
+    uri: { type: 'string', required: true },
+    authSource: { type: 'string' },
+    timeoutMS: { type: 'integer', min: 1 },
+    interval: { type: 'duration', min: MIN_INTERVAL },
+    persistent: { type: 'boolean' },
+    mentionRoleId: { type: 'snowflake' },
+    profilerDatabases: { type: 'string[]' },
+    // Used by dashboard filters (config.discord.dashboards)
+    tags: { type: 'string[]' },
+    // Names from config.notifiers.targets; limits where this instance's notifications go
+    notifiers: { type: 'string[]' }
+};
+
+/**
+ * Allowed top-level fields
+ */
+const FILE_FIELDS = ['interval', 'colors', 'instances', 'alerts'];
+
+/**
+ * Allowed color names
+ */
+const COLOR_NAMES = ['online', 'partial', 'offline', 'info'];
+
+/**
+ * Settings from src/config.js, used for anything the file leaves out
+ */
+const defaults = {
+    interval: config.interval,
+    colors: { ...config.colors },
+    alerts: { enabled: config.alerts.enabled, rules: config.alerts.rules }
+};
+
+let watcher = null;
+let watchTimer = null;
+
+/**
+ * Get the configured instance file path
+ * @returns {string|null} Absolute path or null if no file is configured
+ */
+function getFilePath() {
+    return config.instanceFile.path ? path.resolve(config.instanceFile.path) : null;
+}
+
+/**
+ * Parse file contents as YAML (.yml/.yaml) or JSON
+ * @param {string} filePath - File path, used to pick the format
+ * @param {string} contents - File contents
+ * @returns {*} Parsed document
+ */
+function parseContents(filePath, contents) {
+    if (/\.ya?ml$/i.test(filePath)) {
+        return yaml.load(contents, { filename: filePath });
+    }
+
+    return JSON.parse(contents);
+}
+
+/**
+ * Replace ${VAR} references in strings with environment variables, so URIs can keep credentials out of the file
+ * @param {*} value - Value to expand
+ * @param {string} location - Path of the value, for error messages
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {*} Expanded value
+ */
+function expandEnv(value, location, errors) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+            if (process.env[name] === undefined) {
+                errors.push(`${location}: environment variable ${name} is not set`);
+                return match;
+            }
+            return process.env[name];
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item, i) => expandEnv(item, `${location}[${i}]`, errors));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+            [key, expandEnv(item, location ? `${location}.${key}` : key, errors)]));
+    }
+
+    return value;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate and normalize a single field value
+ * @param {*} value - Field value
+ * @param {Object} spec - Field schema
+ * @returns {{value: *, error: string|null}} Normalized value or error
+ */
+function validateField(value, spec) {
+    switch (spec.type) {
+        case 'string':
+            return typeof value === 'string' && value.trim() !== ''
+                ? { value: value.trim(), error: null }
+                : { value, error: 'must be a non-empty string' };
+        case 'integer':
+            return Number.isInteger(value) && value >= (spec.min ?? -Infinity)
+                ? { value, error: null }
+                : { value, error: `must be an integer of at least ${spec.min}` };
+        case 'boolean':
+            return typeof value === 'boolean'
+                ? { value, error: null }
+                : { value, error: 'must be true or false' };
+        case 'duration': {
+            const ms = parseDuration(value);
+            if (ms === null) return { value, error: 'must be milliseconds or a duration such as "30s" or "5m"' };
+            if (ms < spec.min) return { value, error: `must be at least ${spec.min / 1000}s` };
+            return { value: ms, error: null };
+        }
+        case 'snowflake':
+            // Numbers lose precision above 2^53, so role IDs must be quoted
+            return typeof value === 'string' && /^\d{17,20}$/.test(value)
+                ? { value, error: null }
+                : { value, error: 'must be a Discord ID in quotes' };
+        case 'string[]':
+            return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '')
+                ? { value: value.map(v => v.trim()), error: null }
+                : { value, error: 'must be a list of names' };
+        default:
+            return { value, error: `has unknown type ${spec.type}` };
+    }
+}
+
+/**
+ * Validate a MongoDB connection string without connecting
+ * @param {string} uri - Connection string
+ * @returns {string|null} Validation error or null if valid
+ */
+function validateUri(uri) {
+    if (!/^mongodb(\+srv)?:\/\//.test(uri)) {
+        return 'must start with mongodb:// or mongodb+srv://';
+    }
+
+    try {
+        // The constructor parses the URI and its options, connecting is left to connect()
+        new MongoClient(uri);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Validate one instance entry
+ * @param {*} entry - Instance entry from the file
+ * @param {string} location - Path of the entry, for error messages
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {Object|null} Normalized instance or null if invalid
+ */
+function validateInstance(entry, location, errors) {
+    if (!isObject(entry)) {
+        errors.push(`${location}: must be an object`);
+        return null;
+    }
+
+    // Name the instance in messages once we know it
+    const label = typeof entry.name === 'string' && entry.name.trim() ? `${location} ("${entry.name.trim()}")` : location;
+    const instance = {};
+    const errorCount = errors.length;
+
+    for (const key of Object.keys(entry)) {
+        if (!INSTANCE_SCHEMA[key]) {
+            errors.push(`${label}: unknown field "${key}"`);
+        }
+    }
+
+    for (const [key, spec] of Object.entries(INSTANCE_SCHEMA)) {
+        if (entry[key] === undefined || entry[key] === null) {
+            if (spec.required) errors.push(`${label}: missing ${key}`);
+            continue;
+        }
+
+        const { value, error } = validateField(entry[key], spec);
+        if (error) {
+            errors.push(`${label}: ${key} ${error}`);
+        } else {
+            instance[key] = value;
+        }
+    }
+
+    for (const name of instance.notifiers ?? []) {
+        if (!config.notifiers.targets.some(t => t.name === name)) {
+            errors.push(`${label}: unknown notifier "${name}"`);
+        }
+    }
+
+    if (typeof instance.uri === 'string') {
+        const uriError = validateUri(instance.uri);
+        if (uriError) errors.push(`${label}: malformed uri (${uriError})`);
+    }
+
+    return errors.length === errorCount ? instance : null;
+}
+
+/**
+ * Validate a single instance entry, e.g. one entered through /mongo add
+ * @param {Object} entry - Instance entry
+ * @returns {{instance: Object|null, errors: Array<string>}} Normalized instance or validation errors
+ */
+function validateInstanceEntry(entry) {
+    const errors = [];
+    const instance = validateInstance(entry, 'instance', errors);
+    return { instance, errors };
+}
+
+/**
+ * Validate a parsed instance file
+ * @param {*} data - Parsed file contents
+ * @returns {{settings: Object|null, errors: Array<string>}} Normalized settings or validation errors
+ */
+function validateInstanceFile(data) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        return { settings: null, errors: ['file must contain an object with an "instances" list'] };
+    }
+
+    data = expandEnv(data, '', errors);
+
+    for (const key of Object.keys(data)) {
+        if (!FILE_FIELDS.includes(key)) {
+            errors.push(`unknown top-level field "${key}"`);
+        }
+    }
+
+    const settings = {};
+
+    // Instances
+    if (!Array.isArray(data.instances) || data.instances.length === 0) {
+        errors.push('instances must be a non-empty list');
+    } else {
+        const seen = new Map();
+        settings.instances = [];
+
+        data.instances.forEach((entry, i) => {
+            // Names are compared case-insensitively, they are picked from autocomplete
+            const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+            if (name && seen.has(name.toLowerCase())) {
+                errors.push(`instances[${i}]: duplicate name "${name}" (also used by instances[${seen.get(name.toLowerCase())}])`);
+            } else if (name) {
+                seen.set(name.toLowerCase(), i);
+            }
+
+            const instance = validateInstance(entry, `instances[${i}]`, errors);
+            if (instance) settings.instances.push(instance);
+        });
+    }
+
+    // Global interval
+    if (data.interval !== undefined) {
+        const { value, error } = validateField(data.interval, { type: 'duration', min: MIN_INTERVAL });
+        if (error) errors.push(`interval ${error}`);
+        else settings.interval = value;
+    }
+
+    // Colors, as numbers or "#RRGGBB" strings
+    if (data.colors !== undefined) {
+        if (!isObject(data.colors)) {
+            errors.push('colors must be an object');
+        } else {
+            settings.colors = {};
+
+            for (const [key, value] of Object.entries(data.colors)) {
+                const hex = typeof value === 'string' ? /^(?:#|0x)([0-9a-f]{6})$/i.exec(value) : null;
+                const color = hex ? parseInt(hex[1], 16) : value;
+
+                if (!COLOR_NAMES.includes(key)) {
+                    errors.push(`colors: unknown color "${key}" (expected ${COLOR_NAMES.join(', ')})`);
+                } else if (!Number.isInteger(color) || color < 0 || color > 0xFFFFFF) {
+                    errors.push(`colors.${key} must be a hex color such as "#00FF00"`);
+                } else {
+                    settings.colors[key] = color;
+                }
+            }
+        }
+    }
+
+    // Alert settings
+    if (data.alerts !== undefined) {
+        if (!isObject(data.alerts)) {
+            errors.push('alerts must be an object');
+        } else {
+            settings.alerts = {};
+
+            if (data.alerts.enabled !== undefined) {
+                if (typeof data.alerts.enabled !== 'boolean') errors.push('alerts.enabled must be true or false');
+                else settings.alerts.enabled = data.alerts.enabled;
+            }
+
+            if (data.alerts.rules !== undefined) {
+                if (!Array.isArray(data.alerts.rules)) {
+                    errors.push('alerts.rules must be a list');
+                } else {
+                    data.alerts.rules.forEach((rule, i) => {
+                        let error = alertEngine.validateRule(rule);
+                        if (!error && data.alerts.rules.findIndex(r => r?.name === rule.name) !== i) error = 'duplicate name';
+                        if (error) errors.push(`alerts.rules[${i}]${rule?.name ? ` ("${rule.name}")` : ''}: ${error}`);
+                    });
+                    settings.alerts.rules = data.alerts.rules;
+                }
+            }
+        }
+    }
+
+    return { settings: errors.length === 0 ? settings : null, errors };
+}
+
+/**
+ * Apply validated settings to the shared configuration, falling back to src/config.js for omitted sections
+ * @param {Object} settings - Settings from validateInstanceFile
+ */
+function applySettings(settings) {
+    config.mongodbInstances = instanceStore.mergeInstances(settings.instances);
+    config.interval = settings.interval ?? defaults.interval;
+    Object.assign(config.colors, defaults.colors, settings.colors);
+    config.alerts.enabled = settings.alerts?.enabled ?? defaults.alerts.enabled;
+    config.alerts.rules = settings.alerts?.rules ?? defaults.alerts.rules;
+}
+
+/**
+ * Compare two instance lists by name
+ * @param {Array<Object>} previous - Instances before the reload
+ * @param {Array<Object>} current - Instances after the reload
+ * @returns {{added: Array<string>, removed: Array<string>, updated: Array<string>}} Changed instance names
+ */
+function diffInstances(previous, current) {
+    const before = new Map(previous.map(i => [i.name, i]));
+    const after = new Map(current.map(i => [i.name, i]));
+
+    return {
+        added: current.filter(i => !before.has(i.name)).map(i => i.name),
+        removed: previous.filter(i => !after.has(i.name)).map(i => i.name),
+        updated: current
+            .filter(i => before.has(i.name) && JSON.stringify(before.get(i.name)) !== JSON.stringify(i))
+            .map(i => i.name)
+    };
+}
+
+/**
+ * Load the instance file and apply it to the configuration
+ * Invalid files are rejected as a whole, the running configuration stays in place.
+ * @returns {Promise<Object>} Reload result ({ success, data: { file, added, removed, updated } } or { success: false, errors })
+ */
+async function load() {
+    const filePath = getFilePath();
+
+    if (!filePath) {
+        return {
+            success: false,
+            errors: ['No instance file configured (set INSTANCES_FILE)']
+        };
+    }
+
+    let data;
+    try {
+        const contents = await fs.promises.readFile(filePath, 'utf8');
+        data = parseContents(filePath, contents);
+    } catch (error) {
+        return {
+            success: false,
+            errors: [`Could not read ${path.basename(filePath)}: ${error.message}`]
+        };
+    }
+
+    const { settings, errors } = validateInstanceFile(data);
+
+    if (!settings) {
+        return {
+            success: false,
+            errors
+        };
+    }
+
+    const previous = config.mongodbInstances;
+    applySettings(settings);
+    const changes = diffInstances(previous, config.mongodbInstances);
+
+    logger.info(`[Config] Loaded ${settings.instances.length} instance(s) from ${filePath}`);
+
+    return {
+        success: true,
+        data: {
+            file: filePath,
+            instances: config.mongodbInstances.length,
+            ...changes
+        }
+    };
+}
+
+/**
+ * Watch the instance file for changes
+ * The directory is watched, as editors often replace the file instead of writing to it.
+ * @param {function(): Promise<void>} onChange - Called once the file has settled after a change
+ */
+function watch(onChange) {
+    const filePath = getFilePath();
+    if (!filePath || watcher) return;
+
+    try {
+        watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+            if (filename && filename !== path.basename(filePath)) return;
+
+            clearTimeout(watchTimer);
+            watchTimer = setTimeout(() => {
+                logger.info(`[Config] ${path.basename(filePath)} changed, reloading...`);
+                onChange().catch((error) => {
+                    logger.error(`[Config] Reload after file change failed: ${error.message}`);
+                });
+            }, WATCH_DEBOUNCE_MS);
+        });
+
+        watcher.on('error', (error) => {
+            logger.warn(`[Config] Stopped watching ${filePath}: ${error.message}`);
+            unwatch();
+        });
+
+        logger.info(`[Config] Watching ${filePath} for changes`);
+    } catch (error) {
+        logger.warn(`[Config] Could not watch ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Stop watching the instance file
+ */
+function unwatch() {
+    clearTimeout(watchTimer);
+
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+    }
+}
+
+module.exports = {
+    getFilePath,
+    validateInstanceFile,
+    validateInstanceEntry,
+    diffInstances,
+    load,
+    watch,
+    unwatch
+};
@@ -0,0 +1,335 @@
+/**
+ * MongoMonitorBot - Instance Store
+ * Persists instances added at runtime, with connection strings encrypted at rest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getCurrentTimestamp } = require('../utils/time');
+
+/**
+ * Cipher used for connection strings
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Prefix of encrypted values, versioned so the format can change later
+ */
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Instance fields kept in the store, besides the encrypted URI
+ */
+const STORED_FIELDS = ['name', 'authSource', 'timeoutMS', 'interval', 'mentionRoleId'];
+
+/**
+ * Decrypted instances from the store, in insertion order
+ */
+let instances = [];
+
+/**
+ * Who added/edited each instance and when
+ * Each entry: { addedBy, addedAt, updatedBy, updatedAt }
+ */
+const metadata = new Map();
+
+/**
+ * Every instance object handed out by the store, to tell them apart when merging
+ */
+const storedObjects = new WeakSet();
+
+/**
+ * Derived key and the salt it was derived with
+ */
+let derivedKey = null;
+
+/**
+ * Salt of the store file (random per file)
+ */
+let salt = null;
+
+/**
+ * Check whether runtime instance management is enabled
+ * @returns {boolean} Whether an encryption key is configured
+ */
+function isEnabled() {
+    return Boolean(config.instanceStore.key);
+}
+
+/**
+ * Get the AES key for a salt, derived from the configured secret
+ * @param {string} saltValue - Base64 salt from the store file
+ * @returns {Buffer} 256-bit key
+ */
+function getKey(saltValue) {
+    if (!derivedKey || derivedKey.salt !== saltValue) {
+        derivedKey = {
+            salt: saltValue,
+            key: crypto.scryptSync(config.instanceStore.key, Buffer.from(saltValue, 'base64'), 32)
+        };
+    }
+
+    return derivedKey.key;
+}
+
+/**
+ * Encrypt a value with the store key
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} Encrypted value ("enc:v1:iv:tag:ciphertext", base64 parts)
+ */
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value encrypted with encrypt()
+ * @param {string} value - Encrypted value
+ * @returns {string} Plaintext
+ */
+function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) {
+        throw new Error('value is not encrypted');
+    }
+
+    const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(salt), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Load the store file, replacing the in-memory instances
+ * @returns {Promise<Object>} Load result ({ success, data: instances } or { success: false, error })
+ */
+async function load() {
+    if (!isEnabled()) {
+        return {
+            success: false,
+            error: 'Runtime instance management is disabled (set INSTANCE_STORE_KEY)'
+        };
+    }
+
+    let file;
+    try {
+        file = JSON.parse(await fs.promises.readFile(config.instanceStore.path, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            const message = `Could not read ${config.instanceStore.path}: ${error.message}`;
+            logger.error(`[Store] ${message}`);
+            return { success: false, error: message };
+        }
+
+        // No store yet, start an empty one
+        file = { salt: crypto.randomBytes(16).toString('base64'), instances: [] };
+    }
+
+    salt = file.salt;
+    const loaded = [];
+    metadata.clear();
+
+    try {
+        for (const record of file.instances ?? []) {
+            const instance = { uri: decrypt(record.uri) };
+
+            for (const field of STORED_FIELDS) {
+                if (record[field] !== undefined && record[field] !== null) instance[field] = record[field];
+            }
+
+            loaded.push(instance);
+            storedObjects.add(instance);
+            metadata.set(instance.name, {
+                addedBy: record.addedBy ?? null,
+                addedAt: record.addedAt ?? null,
+                updatedBy: record.updatedBy ?? null,
+                updatedAt: record.updatedAt ?? null
+            });
+        }
+    } catch (error) {
+        const message = `Could not decrypt ${config.instanceStore.path} (wrong INSTANCE_STORE_KEY?): ${error.message}`;
+        logger.error(`[Store] ${message}`);
+        instances = [];
+        return { success: false, error: message };
+    }
+
+    instances = loaded;
+    logger.debug(`[Store] Loaded ${instances.length} stored instance(s)`);
+
+    return {
+        success: true,
+        data: instances
+    };
+}
+
+/**
+ * Write the in-memory instances to the store file
+ * @returns {Promise<void>}
+ */
+async function save() {
+    const file = {
+        version: 1,
+        salt,
+        instances: instances.map(instance => {
+            const record = {};
+            for (const field of STORED_FIELDS) {
+                if (instance[field] !== undefined) record[field] = instance[field];
+            }
+
+            return {
+                ...record,
+                uri: encrypt(instance.uri),
+                ...metadata.get(instance.name)
+            };
+        })
+    };
+
+    // Write to a temporary file first so a crash never leaves a truncated store
+    const tmpPath = `${config.instanceStore.path}.tmp`;
+    await fs.promises.mkdir(path.dirname(config.instanceStore.path), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmpPath, config.instanceStore.path);
+}
+
+/**
+ * Reload the file before a change, so changes made by other shards are kept
+ * Writes are refused while the file can't be read or decrypted, so entries are never lost.
+ * @returns {Promise<string|null>} Error message or null
+ */
+async function prepareWrite() {
+    const result = await load();
+    return result.success ? null : result.error;
+}
+
+/**
+ * Add an instance or replace the stored instance with the same name
+ * @param {Object} instance - Validated instance configuration
+ * @param {string} userId - Discord user making the change
+ * @returns {Promise<Object>} Result ({ success } or { success: false, error })
+ */
+async function upsert(instance, userId) {
+    const error = await prepareWrite();
+    if (error) {
+        return { success: false, error };
+    }
+
+    const now = getCurrentTimestamp();
+    const existing = metadata.get(instance.name);
+    const index = instances.findIndex(i => i.name === instance.name);
+
+    if (index === -1) {
+        instances.push(instance);
+    } else {
+        instances[index] = instance;
+    }
+
+    storedObjects.add(instance);
+    metadata.set(instance.name, {
+        addedBy: existing?.addedBy ?? userId,
+        addedAt: existing?.addedAt ?? now,
+        updatedBy: existing ? userId : null,
+        updatedAt: existing ? now : null
+    });
+
+    try {
+        await save();
+        logger.info(`[Store] ${index === -1 ? 'Added' : 'Updated'} instance ${instance.name} (by ${userId})`);
+        return { success: true };
+    } catch (saveError) {
+        logger.error(`[Store] Failed to save ${config.instanceStore.path}: ${saveError.message}`);
+        await load();
+        return { success: false, error: saveError.message };
+    }
+}
+
+/**
+ * Remove a stored instance
+ * @param {string} name - Instance name
+ * @returns {Promise<Object>} Result ({ success } or { success: false, error })
+ */
+async function remove(name) {
+    const error = await prepareWrite();
+    if (error) {
+        return { success: false, error };
+    }
+
+    if (!has(name)) {
+        return { success: false, error: `${name} is not a stored instance` };
+    }
+
+    instances = instances.filter(i => i.name !== name);
+    metadata.delete(name);
+
+    try {
+        await save();
+        logger.info(`[Store] Removed instance ${name}`);
+        return { success: true };
+    } catch (saveError) {
+        logger.error(`[Store] Failed to save ${config.instanceStore.path}: ${saveError.message}`);
+        await load();
+        return { success: false, error: saveError.message };
+    }
+}
+
+/**
+ * Check whether an instance name belongs to the store
+ * @param {string} name - Instance name
+ * @returns {boolean} Whether the instance is stored
+ */
+function has(name) {
+    return instances.some(i => i.name === name);
+}
+
+/**
+ * Get a stored instance by name
+ * @param {string} name - Instance name
+ * @returns {Object|null} Instance configuration
+ */
+function get(name) {
+    return instances.find(i => i.name === name) ?? null;
+}
+
+/**
+ * Get who added/edited a stored instance
+ * @param {string} name - Instance name
+ * @returns {Object|null} Metadata ({ addedBy, addedAt, updatedBy, updatedAt })
+ */
+function getMetadata(name) {
+    return metadata.get(name) ?? null;
+}
+
+/**
+ * Combine configured instances with the stored ones
+ * Stored instances from an earlier merge are replaced, and configured instances win on name clashes.
+ * @param {Array<Object>} configured - Instances from config.js or the instance file (may include stored ones)
+ * @returns {Array<Object>} Instances to monitor
+ */
+function mergeInstances(configured) {
+    const base = configured.filter(i => !storedObjects.has(i));
+    const names = new Set(base.map(i => i.name));
+
+    for (const instance of instances) {
+        if (names.has(instance.name)) {
+            logger.warn(`[Store] Stored instance ${instance.name} is shadowed by a configured instance with the same name`);
+        }
+    }
+
+    return [...base, ...instances.filter(i => !names.has(i.name))];
+}
+
+module.exports = {
+    isEnabled,
+    load,
+    upsert,
+    remove,
+    has,
+    get,
+    getMetadata,
+    mergeInstances
+};
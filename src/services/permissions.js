@@ -0,0 +1,124 @@
+/**
+ * MongoMonitorBot - Command Permissions
+ * Per-subcommand access rules (roles, users, Discord permissions, channels) and per-user cooldowns
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const config = require('../config');
+const { memberHasAnyRole } = require('./discordService');
+
+/**
+ * Last use per subcommand and user
+ * Key: `${subcommand}:${userId}`, value: epoch ms
+ */
+const lastUses = new Map();
+
+/**
+ * Get the effective rule for a subcommand
+ * Fields set on the subcommand replace the same fields of the default rule.
+ * @param {string} subcommand - Subcommand name
+ * @returns {Object} Rule ({ roles, users, permissions, channels, cooldown })
+ */
+function getRule(subcommand) {
+    return {
+        roles: [],
+        users: [],
+        permissions: [],
+        channels: [],
+        cooldown: 0,
+        ...config.permissions.default,
+        ...config.permissions.commands[subcommand]
+    };
+}
+
+/**
+ * Check whether an interaction's user passes a rule's access lists
+ * No roles, users or permissions configured means everyone has access.
+ * @param {import('discord.js').Interaction} interaction - Interaction to check
+ * @param {Object} rule - Rule from getRule
+ * @returns {boolean} Whether the user has access
+ */
+function hasAccess(interaction, rule) {
+    if (rule.roles.length === 0 && rule.users.length === 0 && rule.permissions.length === 0) {
+        return true;
+    }
+
+    if (rule.users.includes(interaction.user.id)) {
+        return true;
+    }
+
+    if (memberHasAnyRole(interaction.member, rule.roles)) {
+        return true;
+    }
+
+    // Permission names as in PermissionsBitField.Flags (e.g. "ManageGuild"), unknown names never match
+    return rule.permissions.some(permission => {
+        const flag = PermissionsBitField.Flags[permission];
+        return flag !== undefined && (interaction.memberPermissions?.has(flag) ?? false);
+    });
+}
+
+/**
+ * Check whether a user may run a subcommand, and start its cooldown if so
+ * @param {import('discord.js').Interaction} interaction - Interaction to check
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.cooldown=true] - Whether to apply the cooldown (off for follow-up steps like modals)
+ * @returns {{allowed: boolean, title?: string, reason?: string}} Authorization result
+ */
+function authorize(interaction, subcommand, options = {}) {
+    const rule = getRule(subcommand);
+
+    if (rule.channels.length > 0 && !rule.channels.includes(interaction.channelId)) {
+        return {
+            allowed: false,
+            title: 'Wrong Channel',
+            reason: `\`/mongo ${subcommand}\` can only be used in ${rule.channels.map(id => `<#${id}>`).join(', ')}.`
+        };
+    }
+
+    if (!hasAccess(interaction, rule)) {
+        return {
+            allowed: false,
+            title: 'Permission Denied',
+            reason: `You don't have permission to use \`/mongo ${subcommand}\`.`
+        };
+    }
+
+    if (options.cooldown !== false && rule.cooldown > 0) {
+        const key = `${subcommand}:${interaction.user.id}`;
+        const now = Date.now();
+        const availableAt = (lastUses.get(key) ?? 0) + rule.cooldown;
+
+        if (now < availableAt) {
+            return {
+                allowed: false,
+                title: 'Cooldown',
+                reason: `You can use \`/mongo ${subcommand}\` again <t:${Math.ceil(availableAt / 1000)}:R>.`
+            };
+        }
+
+        lastUses.set(key, now);
+        pruneCooldowns(now);
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Drop cooldown entries that have expired
+ * @param {number} now - Current epoch ms
+ */
+function pruneCooldowns(now) {
+    for (const [key, usedAt] of lastUses) {
+        const [subcommand] = key.split(':');
+        if (usedAt + getRule(subcommand).cooldown <= now) {
+            lastUses.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    getRule,
+    authorize
+};
@@ -0,0 +1,187 @@
+/**
+ * MongoMonitorBot - Prometheus Exporter
+ * Renders the latest check results in the Prometheus text exposition format
+ */
+
+const shardingCheck = require('../monitors/shardingCheck');
+
+/**
+ * Prefix of every exported metric
+ */
+const PREFIX = 'mongodb_monitor';
+
+/**
+ * Content type of the text exposition format
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value
+ * @param {number|boolean} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Create a collection of metric families
+ * @returns {{add: Function, render: function(): string}} Registry
+ */
+function createRegistry() {
+    const families = new Map();
+
+    return {
+        /**
+         * Add a sample, skipping missing values
+         * @param {string} name - Metric name without prefix
+         * @param {string} type - gauge or counter
+         * @param {string} help - Help text
+         * @param {Object} labels - Sample labels
+         * @param {number|boolean|null|undefined} value - Sample value
+         */
+        add(name, type, help, labels, value) {
+            if (value === null || value === undefined || Number.isNaN(value)) return;
+
+            const fullName = `${PREFIX}_${name}`;
+            if (!families.has(fullName)) {
+                families.set(fullName, { type, help, samples: [] });
+            }
+
+            const labelText = Object.entries(labels)
+                .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+                .join(',');
+
+            families.get(fullName).samples.push(`${fullName}${labelText ? `{${labelText}}` : ''} ${formatValue(value)}`);
+        },
+
+        render() {
+            const lines = [];
+
+            for (const [name, family] of families) {
+                lines.push(`# HELP ${name} ${family.help}`);
+                lines.push(`# TYPE ${name} ${family.type}`);
+                lines.push(...family.samples);
+            }
+
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+/**
+ * Get the replication role of an instance
+ * @param {Object} result - Health check result
+ * @returns {string} primary, secondary, other, mongos or standalone
+ */
+function getReplicationRole(result) {
+    if (shardingCheck.isMongos(result.version)) return 'mongos';
+    if (!result.replication) return 'standalone';
+    if (result.replication.ismaster) return 'primary';
+    if (result.replication.secondary) return 'secondary';
+    return 'other';
+}
+
+/**
+ * Convert an ISO timestamp to Unix seconds
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {number|null} Unix seconds
+ */
+function toUnixSeconds(timestamp) {
+    return timestamp ? Date.parse(timestamp) / 1000 : null;
+}
+
+/**
+ * Render metrics for the latest results
+ * @param {Array<Object>} results - Latest health check results
+ * @param {Object} reconnectInfo - Reconnect info from mongoMonitor.getReconnectInfo
+ * @returns {string} Prometheus text exposition
+ */
+function renderMetrics(results, reconnectInfo) {
+    const registry = createRegistry();
+
+    registry.add('instances', 'gauge', 'Number of monitored instances with a completed check.', {}, results.length);
+
+    for (const result of results) {
+        const instance = { instance: result.name };
+
+        registry.add('up', 'gauge', 'Whether the last check reached the instance (1) or not (0).', instance, result.online);
+        registry.add('last_check_timestamp_seconds', 'gauge', 'Unix time of the last check.', instance, toUnixSeconds(result.lastCheck));
+        registry.add('ping_seconds', 'gauge', 'Round-trip time of the ping command.', instance, result.ping === null ? null : result.ping / 1000);
+        registry.add('uptime_seconds', 'gauge', 'Time since the server process started.', instance, result.uptime);
+
+        if (result.version) {
+            registry.add('build_info', 'gauge', 'Server version and process type, always 1.', {
+                ...instance,
+                version: result.version.version,
+                process: result.version.process,
+                storage_engine: result.storageEngine?.name ?? 'unknown'
+            }, 1);
+        }
+
+        if (result.connections) {
+            for (const state of ['current', 'available', 'active']) {
+                registry.add('connections', 'gauge', 'Client connections by state.', { ...instance, state }, result.connections[state]);
+            }
+            registry.add('connections_created_total', 'counter', 'Connections created since the server started.', instance, result.connections.totalCreated);
+        }
+
+        if (result.memory) {
+            for (const type of ['resident', 'virtual']) {
+                registry.add('memory_bytes', 'gauge', 'Server process memory by type.', { ...instance, type }, result.memory[type]);
+            }
+        }
+
+        if (result.operations) {
+            for (const [type, count] of Object.entries(result.operations)) {
+                registry.add('opcounters_total', 'counter', 'Operations since the server started, by type.', { ...instance, type }, count);
+            }
+        }
+
+        if (result.network) {
+            registry.add('network_bytes_total', 'counter', 'Network traffic since the server started.', { ...instance, direction: 'in' }, result.network.bytesIn);
+            registry.add('network_bytes_total', 'counter', 'Network traffic since the server started.', { ...instance, direction: 'out' }, result.network.bytesOut);
+        }
+
+        if (result.online && result.version) {
+            registry.add('replication_role', 'gauge', 'Replication role of the instance, always 1.', {
+                ...instance,
+                role: getReplicationRole(result),
+                set_name: result.replication?.setName ?? ''
+            }, 1);
+        }
+
+        if (result.replicaSet) {
+            registry.add('replication_max_lag_seconds', 'gauge', 'Largest replication lag of any secondary.', instance, result.replicaSet.maxLagSeconds);
+            registry.add('replica_set_unhealthy_members', 'gauge', 'Replica set members that are not healthy.', instance, result.replicaSet.unhealthyMembers);
+        }
+    }
+
+    for (const [name, info] of Object.entries(reconnectInfo)) {
+        const instance = { instance: name };
+
+        registry.add('reconnect_attempts_total', 'counter', 'Failed connection attempts since the bot started, as counted by /mongo restart-info.', instance, info.attempts);
+        registry.add('reconnect_consecutive_failures', 'gauge', 'Failed connection attempts since the last success.', instance, info.consecutiveFailures);
+        registry.add('last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful check.', instance, toUnixSeconds(info.lastSuccess));
+        registry.add('last_failure_timestamp_seconds', 'gauge', 'Unix time of the last failed check.', instance, toUnixSeconds(info.lastFailure));
+    }
+
+    return registry.render();
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    renderMetrics
+};
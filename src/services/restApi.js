@@ -0,0 +1,128 @@
+/**
+ * MongoMonitorBot - REST API
+ * Read-only JSON endpoints for monitor state and metrics history
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const httpServer = require('./httpServer');
+const historyStore = require('./historyStore');
+const mongoMonitor = require('../monitors/mongoMonitor');
+const scheduler = require('../monitors/scheduler');
+const { parseDuration } = require('../utils/time');
+
+/**
+ * Compare a request's bearer token with the configured one in constant time
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {boolean} Whether the token matches
+ */
+function isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+    if (!match) return false;
+
+    // Hash both sides so the comparison doesn't depend on the token length
+    const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+    const expected = crypto.createHash('sha256').update(config.api.token).digest();
+
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Wrap a handler with bearer token authentication
+ * @param {Function} handler - Route handler
+ * @returns {Function} Authenticated route handler
+ */
+function authenticated(handler) {
+    return (req, res, context) => {
+        if (!isAuthorized(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            httpServer.sendJson(res, 401, { error: 'Missing or invalid bearer token' });
+            return undefined;
+        }
+
+        return handler(req, res, context);
+    };
+}
+
+/**
+ * Find the latest result for an instance
+ * @param {string} name - Instance name
+ * @returns {Object|null} Latest result
+ */
+function findResult(name) {
+    return scheduler.getLatestResults().find(r => r.name === name) ?? null;
+}
+
+/**
+ * Register the API routes on the HTTP server
+ * @param {Object} options - API options
+ * @param {function(): Object} options.getHealth - Returns { alive, ...details } for /healthz
+ */
+function registerRoutes(options) {
+    // Unauthenticated, for load balancers and container probes
+    httpServer.addRoute('GET', '/healthz', (req, res) => {
+        const health = options.getHealth();
+        httpServer.sendJson(res, health.alive ? 200 : 503, { status: health.alive ? 'ok' : 'unhealthy', ...health });
+    });
+
+    httpServer.addRoute('GET', '/api/instances', authenticated((req, res) => {
+        httpServer.sendJson(res, 200, { instances: scheduler.getLatestResults() });
+    }));
+
+    httpServer.addRoute('GET', '/api/instances/:name', authenticated((req, res, { params }) => {
+        const result = findResult(params.name);
+
+        if (!result) {
+            httpServer.sendJson(res, 404, { error: `No results for instance "${params.name}"` });
+            return;
+        }
+
+        httpServer.sendJson(res, 200, result);
+    }));
+
+    httpServer.addRoute('GET', '/api/instances/:name/history', authenticated(async (req, res, { url, params }) => {
+        const metric = url.searchParams.get('metric') ?? 'ping';
+        const range = url.searchParams.get('range') ?? '24h';
+        const rangeMs = parseDuration(range);
+
+        if (!config.history.enabled) {
+            httpServer.sendJson(res, 404, { error: 'The metrics history store is disabled' });
+            return;
+        }
+
+        if (!findResult(params.name)) {
+            httpServer.sendJson(res, 404, { error: `No results for instance "${params.name}"` });
+            return;
+        }
+
+        if (!historyStore.METRICS[metric] || rangeMs === null || rangeMs === 0) {
+            httpServer.sendJson(res, 400, {
+                error: 'Invalid metric or range',
+                metrics: Object.keys(historyStore.METRICS)
+            });
+            return;
+        }
+
+        const { recent, ...summary } = await historyStore.summarize(params.name, metric, rangeMs, Infinity);
+
+        httpServer.sendJson(res, 200, {
+            instance: params.name,
+            range,
+            unit: historyStore.METRICS[metric].unit,
+            ...summary,
+            values: recent.map(point => ({ timestamp: new Date(point.t).toISOString(), value: point.value }))
+        });
+    }));
+
+    httpServer.addRoute('GET', '/api/summary', authenticated((req, res) => {
+        httpServer.sendJson(res, 200, mongoMonitor.getStatusSummary(scheduler.getLatestResults()));
+    }));
+
+    httpServer.addRoute('GET', '/api/reconnects', authenticated((req, res) => {
+        httpServer.sendJson(res, 200, mongoMonitor.getReconnectInfo());
+    }));
+}
+
+module.exports = {
+    registerRoutes
+};
@@ -0,0 +1,134 @@
+/**
+ * MongoMonitorBot - Shard Coordinator
+ * Decides which shard checks each instance and refreshes each dashboard,
+ * and shares check results between shards over the ShardingManager IPC
+ */
+
+const { EventEmitter } = require('events');
+const { ShardClientUtil } = require('discord.js');
+const logger = require('../utils/logger');
+const dashboardTargets = require('./dashboardTargets');
+const { IPC_KEY, IPC_TYPES } = require('../constants/ipc');
+
+/**
+ * Emits 'ownershipChanged' when shards start or die, and 'result' with results (and reconnect info) checked by other shards
+ */
+const events = new EventEmitter();
+
+/**
+ * IDs of running shards, as reported by the manager
+ * Null until the first report, meanwhile every shard counts as running.
+ */
+let liveShards = null;
+
+let client = null;
+
+/**
+ * Start listening for messages from the shard manager
+ * @param {import('discord.js').Client} discordClient - Discord client
+ */
+function init(discordClient) {
+    client = discordClient;
+    if (!client.shard) return;
+
+    const port = client.shard.mode === 'worker' ? client.shard.parentPort : process;
+    port.on('message', handleMessage);
+}
+
+/**
+ * Handle an IPC message from the shard manager
+ * @param {*} message - Message
+ */
+function handleMessage(message) {
+    switch (message?.[IPC_KEY]) {
+        case IPC_TYPES.SHARDS:
+            liveShards = new Set(message.shards);
+            logger.info(`[Shards] Running shards: ${[...liveShards].join(', ') || 'none'}`);
+            events.emit('ownershipChanged');
+            break;
+        case IPC_TYPES.RESULT:
+            events.emit('result', message.result, message.reconnect ?? null);
+            break;
+    }
+}
+
+/**
+ * Get the ID of this shard
+ * @returns {number} Shard ID (0 when not sharded)
+ */
+function getShardId() {
+    return client?.shard?.ids[0] ?? 0;
+}
+
+/**
+ * Get the shard a guild is on
+ * @param {string} guildId - Guild ID
+ * @returns {number} Shard ID
+ */
+function getGuildShard(guildId) {
+    const count = client?.shard?.count ?? 1;
+    return count > 1 ? ShardClientUtil.shardIdForGuildId(guildId, count) : 0;
+}
+
+/**
+ * Get the shard that does the work preferred for a shard
+ * While the preferred shard isn't running, the lowest running shard stands in.
+ * @param {number} preferred - Preferred shard ID
+ * @returns {number} Shard ID
+ */
+function resolveOwner(preferred) {
+    if (!liveShards || liveShards.has(preferred) || liveShards.size === 0) return preferred;
+    return Math.min(...liveShards);
+}
+
+/**
+ * Check whether this shard refreshes a dashboard (normally the shard of its guild)
+ * @param {Object} target - Dashboard from dashboardTargets.getTargets
+ * @returns {boolean} Whether this shard owns the dashboard
+ */
+function ownsDashboard(target) {
+    return resolveOwner(getGuildShard(target.guildId)) === getShardId();
+}
+
+/**
+ * Check whether this shard checks an instance
+ * Instances belong to the shard of the first dashboard showing them, or shard 0 if none does.
+ * @param {Object} instance - Instance configuration
+ * @returns {boolean} Whether this shard owns the instance
+ */
+function ownsInstance(instance) {
+    const target = dashboardTargets.getTargets().find(t => dashboardTargets.matchesInstance(t, instance));
+    return resolveOwner(target ? getGuildShard(target.guildId) : 0) === getShardId();
+}
+
+/**
+ * Check whether this shard does shard-wide work, like posting reload messages
+ * @returns {boolean} Whether this shard stands for shard 0
+ */
+function isLeader() {
+    return resolveOwner(0) === getShardId();
+}
+
+/**
+ * Send a check result to the other shards
+ * @param {Object} result - Health check result
+ * @param {Object|null} reconnect - Reconnect info of the instance, for the shard serving HTTP
+ */
+function publishResult(result, reconnect) {
+    if (!client?.shard) return;
+
+    client.shard.send({ [IPC_KEY]: IPC_TYPES.RESULT, result, reconnect }).catch((error) => {
+        logger.debug(`[Shards] Could not publish result for ${result.name}: ${error.message}`);
+    });
+}
+
+module.exports = {
+    init,
+    getShardId,
+    getGuildShard,
+    ownsDashboard,
+    ownsInstance,
+    isLeader,
+    publishResult,
+    events
+};
@@ -0,0 +1,139 @@
+/**
+ * MongoMonitorBot - Web Dashboard
+ * Serves the static web dashboard and the JSON it polls
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const httpServer = require('./httpServer');
+const mongoMonitor = require('../monitors/mongoMonitor');
+const scheduler = require('../monitors/scheduler');
+const { getCurrentTimestamp } = require('../utils/time');
+
+/**
+ * Directory holding the dashboard's HTML, CSS and JavaScript
+ */
+const PUBLIC_DIR = path.join(__dirname, '..', 'web');
+
+/**
+ * Static files by request path
+ */
+const STATIC_FILES = {
+    '/': { file: 'index.html', contentType: 'text/html; charset=utf-8' },
+    '/instance': { file: 'instance.html', contentType: 'text/html; charset=utf-8' },
+    '/assets/dashboard.css': { file: 'dashboard.css', contentType: 'text/css; charset=utf-8' },
+    '/assets/dashboard.js': { file: 'dashboard.js', contentType: 'text/javascript; charset=utf-8' }
+};
+
+/**
+ * Headers sent with every dashboard response
+ * The policy only allows resources from this server, so the pages never reach a CDN.
+ */
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'",
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'no-store'
+};
+
+/**
+ * Check a request's basic auth credentials against the configured ones in constant time
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {boolean} Whether the request may see the dashboard
+ */
+function isAuthorized(req) {
+    if (!config.web.password) return false;
+
+    const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization ?? '');
+    if (!match) return false;
+
+    // Hash both sides so the comparison doesn't depend on the credentials' length
+    const given = crypto.createHash('sha256').update(Buffer.from(match[1].trim(), 'base64').toString('utf8')).digest();
+    const expected = crypto.createHash('sha256').update(`${config.web.username}:${config.web.password}`).digest();
+
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Wrap a handler with basic auth and the dashboard's security headers
+ * @param {Function} handler - Route handler
+ * @returns {Function} Protected route handler
+ */
+function protectedRoute(handler) {
+    return (req, res, context) => {
+        for (const [header, value] of Object.entries(SECURITY_HEADERS)) {
+            res.setHeader(header, value);
+        }
+
+        if (!isAuthorized(req)) {
+            res.setHeader('WWW-Authenticate', 'Basic realm="MongoDB Monitor", charset="UTF-8"');
+            httpServer.sendText(res, 401, 'Unauthorized\n');
+            return undefined;
+        }
+
+        return handler(req, res, context);
+    };
+}
+
+/**
+ * Convert a Discord color number to a CSS hex color
+ * @param {number} value - Color number (e.g. 0x00FF00)
+ * @returns {string} Hex color (e.g. "#00ff00")
+ */
+function toHexColor(value) {
+    return `#${value.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Get the embed colors as CSS colors, so the pages match the Discord dashboard
+ * @returns {Object} Hex color per key of config.colors
+ */
+function getColors() {
+    return Object.fromEntries(Object.entries(config.colors).map(([key, value]) => [key, toHexColor(value)]));
+}
+
+/**
+ * Register the dashboard routes on the HTTP server
+ */
+function registerRoutes() {
+    for (const [pathname, { file, contentType }] of Object.entries(STATIC_FILES)) {
+        httpServer.addRoute('GET', pathname, protectedRoute(async (req, res) => {
+            const body = await fs.promises.readFile(path.join(PUBLIC_DIR, file), 'utf8');
+            httpServer.sendText(res, 200, body, contentType);
+        }));
+    }
+
+    httpServer.addRoute('GET', '/dashboard/status', protectedRoute((req, res) => {
+        const results = scheduler.getLatestResults();
+
+        httpServer.sendJson(res, 200, {
+            refreshSeconds: config.web.refreshSeconds,
+            colors: getColors(),
+            summary: mongoMonitor.getStatusSummary(results),
+            instances: results,
+            generatedAt: getCurrentTimestamp()
+        });
+    }));
+
+    httpServer.addRoute('GET', '/dashboard/instances/:name', protectedRoute((req, res, { params }) => {
+        const result = scheduler.getLatestResults().find(r => r.name === params.name);
+
+        if (!result) {
+            httpServer.sendJson(res, 404, { error: `No results for instance "${params.name}"` });
+            return;
+        }
+
+        httpServer.sendJson(res, 200, {
+            refreshSeconds: config.web.refreshSeconds,
+            colors: getColors(),
+            instance: result,
+            samples: mongoMonitor.getRecentSamples(params.name),
+            generatedAt: getCurrentTimestamp()
+        });
+    }));
+}
+
+module.exports = {
+    registerRoutes
+};
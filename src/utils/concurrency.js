@@ -0,0 +1,52 @@
+/**
+ * MongoMonitorBot - Concurrency Utilities
+ * Helpers for running async tasks with a concurrency limit
+ */
+
+/**
+ * Create a limiter that runs at most `limit` tasks at once
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {function(Function): Promise<*>} Function that queues a task and resolves with its result
+ */
+function createLimiter(limit) {
+    const max = Math.max(1, limit || 1);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= max || queue.length === 0) return;
+
+        const { task, resolve, reject } = queue.shift();
+        active++;
+
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Map over items with a concurrency limit, preserving order
+ * @param {Array<*>} items - Items to process
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {function(*, number): Promise<*>} fn - Async mapper
+ * @returns {Promise<Array<*>>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const run = createLimiter(limit);
+    return Promise.all(items.map((item, index) => run(() => fn(item, index))));
+}
+
+module.exports = {
+    createLimiter,
+    mapWithConcurrency
+};
@@ -0,0 +1,95 @@
+/**
+ * MongoMonitorBot - PNG Encoder
+ * Writes RGBA pixel buffers as PNG images using only zlib
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * CRC-32 lookup table, built on first use
+ */
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 of a buffer, as used by PNG chunks
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function createChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an RGBA image as PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Buffer|Uint8Array} pixels - RGBA bytes, row by row (width * height * 4)
+ * @returns {Buffer} PNG file
+ */
+function encodePng(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;      // Bit depth
+    header[9] = 6;      // Color type: RGBA
+    header[10] = 0;     // Compression: deflate
+    header[11] = 0;     // Filter method
+    header[12] = 0;     // No interlace
+
+    // Every row starts with its filter type (0: none)
+    const rowLength = width * 4;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        raw[y * (rowLength + 1)] = 0;
+        Buffer.from(pixels.buffer, pixels.byteOffset + y * rowLength, rowLength).copy(raw, y * (rowLength + 1) + 1);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('IDAT', zlib.deflateSync(raw)),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    crc32,
+    encodePng
+};
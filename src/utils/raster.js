@@ -0,0 +1,148 @@
+/**
+ * MongoMonitorBot - Raster Utilities
+ * A minimal RGBA drawing surface with lines, rectangles and a 5x7 bitmap font
+ */
+
+const { encodePng } = require('./png');
+
+/**
+ * 5x7 glyphs, one number per row with the leftmost pixel in bit 4
+ * Text is drawn upper case; characters without a glyph are drawn as "?".
+ */
+const GLYPHS = {
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Create a drawing surface
+ * Colors are 0xRRGGBB numbers, like config.colors.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} [background=0x000000] - Background color
+ * @returns {Object} Raster with drawing methods and toPng()
+ */
+function createRaster(width, height, background = 0x000000) {
+    const pixels = Buffer.alloc(width * height * 4);
+
+    const setPixel = (x, y, color) => {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+
+        const offset = (y * width + x) * 4;
+        pixels[offset] = (color >> 16) & 0xFF;
+        pixels[offset + 1] = (color >> 8) & 0xFF;
+        pixels[offset + 2] = color & 0xFF;
+        pixels[offset + 3] = 0xFF;
+    };
+
+    const fillRect = (x, y, w, h, color) => {
+        for (let py = Math.round(y); py < Math.round(y + h); py++) {
+            for (let px = Math.round(x); px < Math.round(x + w); px++) {
+                setPixel(px, py, color);
+            }
+        }
+    };
+
+    const drawLine = (x0, y0, x1, y1, color, thickness = 1) => {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+        const offset = Math.floor(thickness / 2);
+
+        for (let i = 0; i <= steps; i++) {
+            const x = Math.round(x0 + ((x1 - x0) * i) / steps);
+            const y = Math.round(y0 + ((y1 - y0) * i) / steps);
+            fillRect(x - offset, y - offset, thickness, thickness, color);
+        }
+    };
+
+    const measureText = (text, scale = 1) => {
+        return text.length === 0 ? 0 : (text.length * (GLYPH_WIDTH + 1) - 1) * scale;
+    };
+
+    const drawText = (text, x, y, color, { scale = 1, align = 'left' } = {}) => {
+        let cursor = align === 'right' ? x - measureText(text, scale)
+            : align === 'center' ? x - measureText(text, scale) / 2
+                : x;
+        cursor = Math.round(cursor);
+
+        for (const char of text.toUpperCase()) {
+            const rows = GLYPHS[char] ?? GLYPHS['?'];
+
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    if (rows[row] & (1 << (GLYPH_WIDTH - 1 - col))) {
+                        fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            }
+
+            cursor += (GLYPH_WIDTH + 1) * scale;
+        }
+    };
+
+    fillRect(0, 0, width, height, background);
+
+    return {
+        width,
+        height,
+        fillRect,
+        drawLine,
+        drawText,
+        measureText,
+        toPng: () => encodePng(width, height, pixels)
+    };
+}
+
+module.exports = {
+    GLYPH_HEIGHT,
+    createRaster
+};
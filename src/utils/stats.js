@@ -0,0 +1,63 @@
+/**
+ * MongoMonitorBot - Statistics Utilities
+ * Helper functions for trends over recent samples
+ */
+
+/**
+ * Calculate the least-squares slope of evenly spaced values
+ * @param {Array<number>} values - Values ordered oldest to newest
+ * @returns {number} Change per sample (0 with fewer than two values)
+ */
+function linearSlope(values) {
+    const n = values.length;
+    if (n < 2) {
+        return 0;
+    }
+
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+
+    let numerator = 0;
+    let denominator = 0;
+
+    for (let i = 0; i < n; i++) {
+        numerator += (i - meanX) * (values[i] - meanY);
+        denominator += (i - meanX) ** 2;
+    }
+
+    return numerator / denominator;
+}
+
+/**
+ * Classify a slope as rising, falling or steady
+ * @param {number} slope - Change per sample
+ * @param {number} [tolerance=0] - Absolute slope treated as steady
+ * @returns {'rising'|'falling'|'steady'} Trend direction
+ */
+function getTrendDirection(slope, tolerance = 0) {
+    if (slope > tolerance) return 'rising';
+    if (slope < -tolerance) return 'falling';
+    return 'steady';
+}
+
+/**
+ * Compute the trend of a series of values
+ * @param {Array<number>} values - Values ordered oldest to newest
+ * @param {number} [tolerance=0] - Absolute slope treated as steady
+ * @returns {{slope: number, direction: string, samples: number}} Trend
+ */
+function computeTrend(values, tolerance = 0) {
+    const slope = Math.round(linearSlope(values) * 100) / 100;
+
+    return {
+        slope,
+        direction: getTrendDirection(slope, tolerance),
+        samples: values.length
+    };
+}
+
+module.exports = {
+    linearSlope,
+    getTrendDirection,
+    computeTrend
+};
@@ -132,6 +132,36 @@ function formatPing(ms) {
     }
 }
 
+/**
+ * Duration unit multipliers in milliseconds
+ */
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a short duration string (e.g. "30s", "1h", "7d") into milliseconds
+ * @param {string|number} value - Duration string or number of milliseconds
+ * @returns {number|null} Duration in milliseconds or null if invalid
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)\s*$/i.exec(String(value ?? ''));
+    if (!match) {
+        return null;
+    }
+
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+}
+
 module.exports = {
     formatUptime,
     formatBytes,
@@ -139,5 +169,6 @@ module.exports = {
     getDisplayTimestamp,
     getDiscordTimestamp,
     getElapsedTime,
-    formatPing
+    formatPing,
+    parseDuration
 };
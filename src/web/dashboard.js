@@ -0,0 +1,630 @@
+/**
+ * MongoMonitorBot - Web Dashboard
+ * Renders the overview and instance pages from the bot's /dashboard endpoints
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Refresh interval until the server tells us its own
+     */
+    const DEFAULT_REFRESH_SECONDS = 15;
+
+    /**
+     * Charts drawn on the instance page, from the recent samples
+     */
+    const CHARTS = [
+        { key: 'ping', label: 'Ping', format: (v) => `${Math.round(v)}ms` },
+        { key: 'connections', label: 'Connections', format: (v) => Math.round(v).toLocaleString() }
+    ];
+
+    /**
+     * Chart size in SVG units (scaled to the container width)
+     */
+    const CHART = { width: 480, height: 180, padLeft: 48, padRight: 12, padTop: 12, padBottom: 24 };
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Same formatting as the Discord embeds (utils/time.js and embedBuilder.js)
+
+    /**
+     * Convert seconds to human-readable duration
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration (e.g. "3d 4h 5m")
+     */
+    function formatUptime(seconds) {
+        if (typeof seconds !== 'number' || isNaN(seconds) || seconds < 0) {
+            return 'Unknown';
+        }
+
+        const parts = [];
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+
+        if (days > 0) parts.push(`${days}d`);
+        if (hours > 0) parts.push(`${hours}h`);
+        if (minutes > 0) parts.push(`${minutes}m`);
+        if (secs > 0 || parts.length === 0) parts.push(`${secs}s`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Format bytes to human-readable size
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size (e.g. "1.5 GB")
+     */
+    function formatBytes(bytes) {
+        if (typeof bytes !== 'number' || isNaN(bytes) || bytes < 0) {
+            return 'Unknown';
+        }
+
+        if (bytes === 0) return '0 B';
+
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+
+        return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+    }
+
+    /**
+     * Format ping latency
+     * @param {number} ms - Latency in milliseconds
+     * @returns {string} Latency
+     */
+    function formatPing(ms) {
+        return typeof ms === 'number' && !isNaN(ms) ? `${ms}ms` : 'Unknown';
+    }
+
+    /**
+     * Format a per-second rate
+     * @param {number} value - Rate per second
+     * @returns {string} Rate
+     */
+    function formatRate(value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return '0';
+        }
+
+        return value >= 100
+            ? Math.round(value).toLocaleString()
+            : (Math.round(value * 10) / 10).toLocaleString();
+    }
+
+    /**
+     * Format a percentage
+     * @param {number|null} value - Percentage
+     * @returns {string} Percentage
+     */
+    function formatPercent(value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return 'N/A';
+        }
+
+        return `${(Math.round(value * 10) / 10).toLocaleString()}%`;
+    }
+
+    /**
+     * Format an ISO timestamp in the viewer's locale
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Local date and time
+     */
+    function formatTimestamp(timestamp) {
+        return new Date(timestamp).toLocaleString();
+    }
+
+    /**
+     * Create an element
+     * Text is always set with textContent, as results contain server-provided strings.
+     * @param {string} tag - Tag name
+     * @param {string} [className] - Class name
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement} Element
+     */
+    function el(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Create a "Label: value" line
+     * @param {string} label - Bold label
+     * @param {string} value - Value
+     * @returns {HTMLElement} Line element
+     */
+    function line(label, value) {
+        const element = el('div', 'line');
+        element.append(el('strong', null, `${label}:`), ` ${value}`);
+        return element;
+    }
+
+    /**
+     * Set the accent color of an element to one of the config colors
+     * @param {HTMLElement} element - Element
+     * @param {string} colorKey - Key of config.colors (online, partial, offline, info)
+     */
+    function setAccent(element, colorKey) {
+        element.style.setProperty('--accent', `var(--color-${colorKey})`);
+    }
+
+    /**
+     * Apply the colors from config.colors
+     * @param {Object} colors - Hex color per key
+     */
+    function applyColors(colors) {
+        for (const [key, value] of Object.entries(colors)) {
+            document.documentElement.style.setProperty(`--color-${key}`, value);
+        }
+    }
+
+    /**
+     * Fetch JSON from a dashboard endpoint
+     * @param {string} url - Endpoint, relative to the page
+     * @returns {Promise<Object>} Response data
+     */
+    async function fetchJson(url) {
+        const response = await fetch(url, { cache: 'no-store', credentials: 'same-origin' });
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            throw new Error(data?.error ?? `${response.status} ${response.statusText}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Show or clear the error message
+     * @param {string|null} message - Error message
+     */
+    function showError(message) {
+        const element = document.getElementById('error');
+        element.textContent = message ?? '';
+        element.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Load and render a page, then keep refreshing it
+     * Keeps the last rendered data on screen when a refresh fails.
+     * @param {function(): Promise<Object>} load - Loads the page data
+     * @param {function(Object): void} render - Renders the page data
+     */
+    function poll(load, render) {
+        let refreshSeconds = DEFAULT_REFRESH_SECONDS;
+
+        const tick = async () => {
+            try {
+                const data = await load();
+                refreshSeconds = data.refreshSeconds || refreshSeconds;
+                applyColors(data.colors);
+                render(data);
+                showError(null);
+            } catch (error) {
+                showError(`Could not refresh: ${error.message}`);
+            } finally {
+                setTimeout(tick, refreshSeconds * 1000);
+            }
+        };
+
+        tick();
+    }
+
+    /**
+     * Get the overall status, like getOverallStatus/getStatusColor in embedBuilder.js
+     * @param {Object} summary - Result of mongoMonitor.getStatusSummary
+     * @returns {{text: string, colorKey: string}} Status text and color key
+     */
+    function getOverallStatus(summary) {
+        switch (summary.status) {
+            case 'all_online':
+                return { text: 'All Systems Operational', colorKey: 'online' };
+            case 'all_offline':
+                return { text: 'All Systems Offline', colorKey: 'offline' };
+            case 'partial':
+                return { text: `Partial Outage (${summary.online}/${summary.total} Online)`, colorKey: 'partial' };
+            default:
+                return { text: 'Status Unknown', colorKey: 'info' };
+        }
+    }
+
+    /**
+     * Build the lines of an instance card, like formatInstanceStatus in embedBuilder.js
+     * @param {Object} instance - Instance health data
+     * @returns {Array<HTMLElement>} Lines
+     */
+    function buildInstanceLines(instance) {
+        const lines = [line('Status', instance.online ? 'ONLINE' : 'OFFLINE')];
+
+        if (!instance.online) {
+            if (instance.error) lines.push(line('Error', instance.error));
+            return lines;
+        }
+
+        if (instance.ping !== null) {
+            lines.push(line('Ping', formatPing(instance.ping)));
+        }
+
+        if (instance.uptime !== null) {
+            lines.push(line('Uptime', formatUptime(instance.uptime)));
+        }
+
+        if (instance.connections) {
+            const conn = instance.connections;
+            lines.push(line('Connections', `${conn.current} active / ${conn.available} available`));
+        }
+
+        if (instance.memory) {
+            lines.push(line('Memory', `${formatBytes(instance.memory.resident)} resident / ${formatBytes(instance.memory.virtual)} virtual`));
+        }
+
+        if (instance.cache) {
+            lines.push(line('WT Cache', `${formatPercent(instance.cache.usedPercent)} used · ${formatPercent(instance.cache.dirtyPercent)} dirty`));
+        }
+
+        if (instance.tickets) {
+            lines.push(line('Tickets', `read ${formatPercent(instance.tickets.read.usedPercent)} · write ${formatPercent(instance.tickets.write.usedPercent)} in use`));
+        }
+
+        if (instance.rates) {
+            const ops = instance.rates.operations;
+            lines.push(line('Ops/s', `${formatRate(ops.insert)} ins · ${formatRate(ops.query)} qry · ${formatRate(ops.update)} upd · ${formatRate(ops.delete)} del · ${formatRate(ops.command)} cmd`));
+            lines.push(line('Network', `${formatBytes(instance.rates.network.bytesIn)}/s in / ${formatBytes(instance.rates.network.bytesOut)}/s out`));
+        }
+
+        if (instance.version) {
+            lines.push(line('Version', instance.version.version));
+        }
+
+        if (instance.storageEngine) {
+            lines.push(line('Storage', instance.storageEngine.name));
+        }
+
+        if (instance.replication) {
+            const repl = instance.replication;
+            const role = repl.ismaster ? 'Primary' : (repl.secondary ? 'Secondary' : 'Unknown');
+            let text = `${repl.setName} (${role})`;
+
+            if (instance.replicaSet) {
+                const rs = instance.replicaSet;
+                text += ` · ${rs.healthyMembers}/${rs.members.length} healthy`;
+                if (rs.maxLagSeconds !== null) {
+                    text += ` · lag ${formatUptime(rs.maxLagSeconds)}`;
+                }
+            }
+
+            lines.push(line('Replica Set', text));
+        }
+
+        if (instance.longRunningOps?.count > 0) {
+            const ops = instance.longRunningOps;
+            lines.push(line('Long-running Ops', `${ops.count} (oldest ${formatUptime(ops.oldestSeconds)})`));
+        }
+
+        if (instance.cluster) {
+            const cluster = instance.cluster;
+            const healthy = cluster.shardCount - cluster.unhealthyShards;
+            const balancer = cluster.balancer ? (cluster.balancer.enabled ? 'on' : cluster.balancer.mode) : 'unknown';
+            lines.push(line('Sharded Cluster', `${healthy}/${cluster.shardCount} shards healthy · balancer ${balancer}`));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Build a titled card
+     * @param {string} title - Card title
+     * @param {Array<HTMLElement>} lines - Card content
+     * @param {Object} [options] - Card options
+     * @param {string} [options.colorKey='info'] - Accent color key
+     * @param {string} [options.href] - Make the card a link
+     * @param {boolean} [options.wide=false] - Span the full width
+     * @returns {HTMLElement} Card
+     */
+    function buildCard(title, lines, options = {}) {
+        const card = el(options.href ? 'a' : 'section', options.wide ? 'card wide' : 'card');
+        const heading = el('h2');
+
+        if (options.href) card.href = options.href;
+        setAccent(card, options.colorKey ?? 'info');
+
+        heading.append(el('span', 'dot'), title);
+        card.append(heading, ...lines);
+
+        return card;
+    }
+
+    /**
+     * Set the page banner
+     * @param {string} text - Status text
+     * @param {string} colorKey - Accent color key
+     */
+    function setBanner(text, colorKey) {
+        document.getElementById('overall-status').textContent = text;
+        setAccent(document.getElementById('overall'), colorKey);
+    }
+
+    /**
+     * Render the overview page, like buildStatusEmbed in embedBuilder.js
+     * @param {Object} data - Response of /dashboard/status
+     */
+    function renderOverview(data) {
+        const overall = getOverallStatus(data.summary);
+        setBanner(overall.text, overall.colorKey);
+
+        const cards = data.instances.map(instance => buildCard(instance.name, buildInstanceLines(instance), {
+            colorKey: instance.online ? 'online' : 'offline',
+            href: `instance?name=${encodeURIComponent(instance.name)}`
+        }));
+
+        if (cards.length === 0) {
+            cards.push(buildCard('No results yet', [el('div', 'line note', 'Waiting for the first checks to complete.')]));
+        }
+
+        document.getElementById('instances').replaceChildren(...cards);
+
+        const { online, total, percentage } = data.summary;
+        document.getElementById('footer').textContent =
+            `${online}/${total} instances online (${percentage}%) • Last updated ${formatTimestamp(data.generatedAt)}`;
+    }
+
+    /**
+     * Build the detail sections of an instance, like buildDetailedInstanceEmbed in embedBuilder.js
+     * @param {Object} instance - Instance health data
+     * @returns {Array<HTMLElement>} Section cards
+     */
+    function buildDetailSections(instance) {
+        if (!instance.online) {
+            return [buildCard('Error Details', [el('div', 'line', instance.error || 'Unknown error')], { colorKey: 'offline', wide: true })];
+        }
+
+        const sections = [];
+
+        const connection = [line('Ping', formatPing(instance.ping)), line('Uptime', formatUptime(instance.uptime))];
+        if (instance.heartbeat) {
+            const servers = instance.heartbeat.serversTotal > 1 ? ` · ${instance.heartbeat.serversUp}/${instance.heartbeat.serversTotal} servers` : '';
+            connection.push(line('Heartbeat', `${instance.heartbeat.ok === false ? 'failing' : 'ok'} · ${instance.heartbeat.duration ?? '?'}ms${servers}`));
+            connection.push(line('Topology', instance.heartbeat.topologyType ?? 'Unknown'));
+        }
+        sections.push(buildCard('Connection', connection));
+
+        if (instance.memory) {
+            const memory = instance.memory;
+            const lines = [line('Resident', formatBytes(memory.resident)), line('Virtual', formatBytes(memory.virtual))];
+            if (memory.heapSize !== null) lines.push(line('Heap Size', formatBytes(memory.heapSize)));
+            if (memory.currentAllocated !== null) lines.push(line('Allocated', formatBytes(memory.currentAllocated)));
+            sections.push(buildCard('Memory Usage', lines));
+        }
+
+        if (instance.connections) {
+            const conn = instance.connections;
+            sections.push(buildCard('Connections', [
+                line('Current', conn.current),
+                line('Available', conn.available),
+                line('Active', conn.active),
+                line('Threaded', conn.threaded),
+                line('Total Created', conn.totalCreated)
+            ]));
+        }
+
+        if (instance.network) {
+            const rates = instance.rates?.network;
+            sections.push(buildCard('Network', rates
+                ? [
+                    line('In', `${formatBytes(rates.bytesIn)}/s`),
+                    line('Out', `${formatBytes(rates.bytesOut)}/s`),
+                    line('Requests', `${formatRate(rates.numRequests)}/s`)
+                ]
+                : [
+                    line('Bytes In', formatBytes(instance.network.bytesIn)),
+                    line('Bytes Out', formatBytes(instance.network.bytesOut)),
+                    line('Requests', instance.network.numRequests.toLocaleString()),
+                    el('div', 'line note', 'Rates available after the next check')
+                ]));
+        }
+
+        if (instance.operations) {
+            const ops = instance.rates?.operations;
+            sections.push(buildCard('Operations', ops
+                ? ['insert', 'query', 'update', 'delete', 'command'].map(type => line(type[0].toUpperCase() + type.slice(1), `${formatRate(ops[type])}/s`))
+                : [
+                    ...['insert', 'query', 'update', 'delete'].map(type => line(type[0].toUpperCase() + type.slice(1), instance.operations[type].toLocaleString())),
+                    el('div', 'line note', 'Rates available after the next check')
+                ]));
+        }
+
+        if (instance.cache || instance.tickets) {
+            const lines = [];
+
+            if (instance.cache) {
+                const cache = instance.cache;
+                const evictions = instance.rates?.evictions;
+                lines.push(line('Cache', `${formatBytes(cache.bytesInCache)} / ${formatBytes(cache.maxBytes)} (${formatPercent(cache.usedPercent)})`));
+                lines.push(line('Dirty', `${formatBytes(cache.dirtyBytes)} (${formatPercent(cache.dirtyPercent)})`));
+                lines.push(evictions
+                    ? line('Evictions', `${formatRate(evictions.pagesEvicted)}/s (${formatRate(evictions.pagesEvictedByAppThreads)}/s by app threads)`)
+                    : line('Pages Evicted', cache.pagesEvicted.toLocaleString()));
+            }
+
+            if (instance.tickets) {
+                const { read, write } = instance.tickets;
+                lines.push(line('Read Tickets', `${read.out} out / ${read.available} available`));
+                lines.push(line('Write Tickets', `${write.out} out / ${write.available} available`));
+            }
+
+            sections.push(buildCard('WiredTiger', lines));
+        }
+
+        if (instance.locks) {
+            const locks = instance.locks;
+            const lines = [
+                line('Queued', `${locks.queue.readers} R / ${locks.queue.writers} W`),
+                line('Active Clients', `${locks.activeClients.readers} R / ${locks.activeClients.writers} W`)
+            ];
+
+            if (instance.rates?.lockWaits) {
+                const waits = instance.rates.lockWaits;
+                lines.push(line('Lock Waits', `${formatRate(waits.acquireWaitCount)}/s (${formatRate(waits.timeAcquiringMicros / 1000)}ms/s waiting)`));
+            }
+
+            if (locks.totals.deadlockCount > 0) {
+                lines.push(line('Deadlocks', locks.totals.deadlockCount.toLocaleString()));
+            }
+
+            sections.push(buildCard('Locks & Queues', lines));
+        }
+
+        if (instance.version) {
+            sections.push(buildCard('Server Info', [
+                line('Version', instance.version.version),
+                line('Process', instance.version.process),
+                line('Host', instance.version.host),
+                line('PID', instance.version.pid)
+            ]));
+        }
+
+        if (instance.storageEngine) {
+            sections.push(buildCard('Storage Engine', [
+                line('Engine', instance.storageEngine.name),
+                line('Persistent', instance.storageEngine.persistent ? 'Yes' : 'No'),
+                line('Committed Reads', instance.storageEngine.supportsCommittedReads ? 'Yes' : 'No')
+            ]));
+        }
+
+        if (instance.replicaSet) {
+            const rs = instance.replicaSet;
+            const lines = [
+                line('Set', `${rs.setName} (term ${rs.term ?? '?'})`),
+                line('Primary', rs.primary ?? 'None'),
+                line('Oplog Window', rs.oplogWindowSeconds !== null ? formatUptime(rs.oplogWindowSeconds) : 'Unknown')
+            ];
+
+            if (rs.electionDate) lines.push(line('Last Election', formatTimestamp(rs.electionDate)));
+
+            for (const member of rs.members) {
+                const lag = member.lagSeconds !== null && member.state !== 'PRIMARY' ? ` · lag ${formatUptime(member.lagSeconds)}` : '';
+                lines.push(line(member.name, `${member.health ? '' : 'unhealthy · '}${member.state}${lag}${member.self ? ' (this node)' : ''}`));
+            }
+
+            sections.push(buildCard('Replica Set Members', lines, { colorKey: rs.unhealthyMembers > 0 ? 'partial' : 'info', wide: true }));
+        }
+
+        return sections;
+    }
+
+    /**
+     * Create an SVG element
+     * @param {string} tag - Tag name
+     * @param {Object} attributes - Attributes
+     * @returns {SVGElement} Element
+     */
+    function svg(tag, attributes) {
+        const element = document.createElementNS(SVG_NS, tag);
+        for (const [name, value] of Object.entries(attributes)) {
+            element.setAttribute(name, value);
+        }
+        return element;
+    }
+
+    /**
+     * Draw a line chart of one sample field
+     * Gaps are left where the instance was offline or the value is missing.
+     * @param {Array<Object>} samples - Recent samples, oldest first
+     * @param {Object} chart - Chart definition from CHARTS
+     * @returns {HTMLElement} Chart card
+     */
+    function buildChart(samples, chart) {
+        const points = samples.filter(s => typeof s[chart.key] === 'number');
+        const latest = points[points.length - 1];
+        const title = latest ? `${chart.label} · ${chart.format(latest[chart.key])}` : chart.label;
+
+        if (points.length < 2) {
+            return buildCard(title, [el('div', 'line note', 'Not enough samples yet')], { colorKey: 'info' });
+        }
+
+        const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+        const values = points.map(p => p[chart.key]);
+        const max = Math.max(...values) * 1.1 || 1;
+        const start = samples[0].t;
+        const span = samples[samples.length - 1].t - start || 1;
+
+        const x = (t) => padLeft + ((t - start) / span) * (width - padLeft - padRight);
+        const y = (v) => padTop + (1 - v / max) * (height - padTop - padBottom);
+
+        const root = svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': `${chart.label} over the last ${samples.length} checks` });
+
+        // Horizontal grid lines with their values
+        for (const fraction of [0, 0.5, 1]) {
+            const value = max * fraction;
+            root.append(svg('line', { class: 'grid', x1: padLeft, x2: width - padRight, y1: y(value), y2: y(value) }));
+
+            const label = svg('text', { x: padLeft - 6, y: y(value) + 4, 'text-anchor': 'end' });
+            label.textContent = chart.format(value);
+            root.append(label);
+        }
+
+        // One polyline per run of consecutive values
+        let run = [];
+        const flush = () => {
+            if (run.length > 1) {
+                root.append(svg('polyline', { class: 'series', points: run.join(' ') }));
+            }
+            run = [];
+        };
+
+        for (const sample of samples) {
+            if (sample.online && typeof sample[chart.key] === 'number') {
+                run.push(`${x(sample.t).toFixed(1)},${y(sample[chart.key]).toFixed(1)}`);
+            } else {
+                flush();
+            }
+        }
+        flush();
+
+        const range = svg('text', { x: width - padRight, y: height - 6, 'text-anchor': 'end' });
+        range.textContent = `last ${formatUptime(span / 1000)}`;
+        root.append(range);
+
+        const card = buildCard(title, [], { colorKey: 'info' });
+        card.classList.add('chart');
+        card.append(root);
+
+        return card;
+    }
+
+    /**
+     * Render the instance page, like buildDetailedInstanceEmbed in embedBuilder.js
+     * @param {Object} data - Response of /dashboard/instances/:name
+     */
+    function renderInstance(data) {
+        const { instance, samples } = data;
+
+        document.title = `${instance.name} - MongoDB Monitor`;
+        document.getElementById('instance-name').textContent = `${instance.name} - Detailed Status`;
+        setBanner(instance.online ? 'ONLINE' : 'OFFLINE', instance.online ? 'online' : 'offline');
+
+        document.getElementById('charts').replaceChildren(...CHARTS.map(chart => buildChart(samples, chart)));
+        document.getElementById('sections').replaceChildren(...buildDetailSections(instance));
+        document.getElementById('footer').textContent =
+            `Last checked ${formatTimestamp(instance.lastCheck)} • ${samples.length} recent sample(s)`;
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.body.dataset.page === 'instance') {
+            const name = new URLSearchParams(window.location.search).get('name');
+
+            if (!name) {
+                showError('No instance selected.');
+                return;
+            }
+
+            poll(() => fetchJson(`dashboard/instances/${encodeURIComponent(name)}`), renderInstance);
+        } else {
+            poll(() => fetchJson('dashboard/status'), renderOverview);
+        }
+    });
+})();
@@ -0,0 +1,50 @@
+/**
+ * MongoMonitorBot - Current Operation Check Tests
+ * Runs against the real driver classes, with a client pointed at a closed port
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MongoClient } = require('mongodb');
+const currentOpCheck = require('../src/monitors/currentOpCheck');
+
+/**
+ * Create a client that fails fast, since nothing listens on the port
+ * @returns {MongoClient} MongoDB client
+ */
+function createUnreachableClient() {
+    return new MongoClient('mongodb://127.0.0.1:9', {
+        directConnection: true,
+        serverSelectionTimeoutMS: 200
+    });
+}
+
+test('getLongRunningOps runs $currentOp through the admin Db', async (t) => {
+    const client = createUnreachableClient();
+    t.after(() => client.close());
+
+    const db = client.db('admin');
+    const aggregate = t.mock.method(db, 'aggregate');
+
+    const result = await currentOpCheck.getLongRunningOps(db, 5, 10);
+
+    assert.strictEqual(aggregate.mock.callCount(), 1);
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    assert.deepStrictEqual(pipeline[0], { $currentOp: { allUsers: true, idleConnections: false } });
+    assert.strictEqual(pipeline[1].$match.secs_running.$gte, 5);
+    assert.deepStrictEqual(pipeline[pipeline.length - 1], { $limit: 10 });
+
+    // Fails on the connection, not on the driver API
+    assert.strictEqual(result.success, false);
+    assert.doesNotMatch(result.error, /is not a function/);
+});
+
+test('killOp reports connection errors as a failed result', async (t) => {
+    const client = createUnreachableClient();
+    t.after(() => client.close());
+
+    const result = await currentOpCheck.killOp(client.db('admin'), 123);
+
+    assert.strictEqual(result.success, false);
+    assert.doesNotMatch(result.error, /is not a function/);
+});